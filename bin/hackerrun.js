@@ -3,10 +3,23 @@
 import { Command } from 'commander';
 import { initCommand } from '../lib/init.js';
 import { deployCommand } from '../lib/deploy.js';
+import { releasesCommand, rollbackCommand } from '../lib/rollback.js';
+import { logsCommand } from '../lib/logs.js';
+import { statusCommand } from '../lib/status.js';
+import { appsCommand } from '../lib/apps.js';
+import { destroyCommand } from '../lib/destroy.js';
+import { dashboardCommand } from '../lib/dashboard.js';
+import { secretsSetCommand, secretsListCommand, secretsUnsetCommand } from '../lib/secrets.js';
+import { serverAddCommand, serverListCommand, serverRemoveCommand, serverDefaultCommand, serverTraefikCommand } from '../lib/server.js';
 import chalk from 'chalk';
 
 const program = new Command();
 
+// Accumulates repeatable options into an array
+function collect(value, previous = []) {
+  return [...previous, value];
+}
+
 program
   .name('hackerrun')
   .description('Deploy Docker Compose apps to Ubuntu VPS with Traefik')
@@ -15,9 +28,17 @@ program
 program
   .command('init')
   .description('Initialize HackerRun by setting up VPS and installing Docker')
-  .action(async () => {
+  .option('--server <name>', 'name of the server to set up')
+  .option('--user <user>', 'SSH user (non-root users need passwordless sudo)')
+  .option('--ssh-port <port>', 'SSH port')
+  .option('--identity-file <path>', 'SSH private key')
+  .option('--dns-provider <name>', 'get certificates with the DNS-01 challenge through this provider (e.g. cloudflare, route53)')
+  .option('--dns-env <KEY[=VALUE]>', 'credential for the DNS provider, stored on the server for Traefik; KEY alone reads it from your environment (repeatable)', collect)
+  .option('--acme-staging', 'use the Let\'s Encrypt staging CA (untrusted certificates, no rate limits)')
+  .option('--entrypoint <name=[host]:port[/udp]>', 'extra Traefik entrypoint for TCP/UDP services, e.g. postgres=:5432 (repeatable)', collect)
+  .action(async (options) => {
     try {
-      await initCommand();
+      await initCommand(options);
     } catch (error) {
       console.error(chalk.red('Error during initialization:'), error.message);
       process.exit(1);
@@ -27,13 +48,286 @@ program
 program
   .command('deploy')
   .description('Deploy your Docker Compose app to VPS with Traefik')
-  .action(async () => {
+  .option('--server <name>', 'server to deploy to (defaults to the last one used, then the default server)')
+  .option('--environment <name>', 'project environment to deploy', 'production')
+  .option('-f, --file <path>', 'compose file; later files override earlier ones like docker compose -f (repeatable)', collect)
+  .option('--profile <name>', 'compose profile to enable (repeatable)', collect)
+  .option('-s, --service <name[:port[:subdomain]]>', 'service to expose to the internet (repeatable)', collect)
+  .option('-p, --port <port>', 'port the exposed service listens on (single service only)')
+  .option('-d, --domain <[service=]host>', 'custom domain instead of sslip.io (repeatable)', collect)
+  .option('--alias <[service=]host>', 'additional domain routed to the same service (repeatable)', collect)
+  .option('--path <[service=]prefix>', 'route only requests under this path prefix to the service, so services can share a domain (repeatable)', collect)
+  .option('--priority <[service=]n>', 'Traefik router priority; path routes default to above host-only ones, longer prefixes first (repeatable)', collect)
+  .option('--tcp <service:port@entrypoint[,sni=host][,passthrough]>', 'expose a TCP service on an extra Traefik entrypoint, optionally by TLS SNI host (repeatable)', collect)
+  .option('--udp <service:port@entrypoint>', 'expose a UDP service on an extra Traefik entrypoint (repeatable)', collect)
+  .option('--no-streams', 'stop exposing the saved TCP/UDP services')
+  .option('--middleware <[service=]spec>', 'Traefik middleware for a service, e.g. compress, hsts, rate-limit:100/50 or allow:10.0.0.0/8; replaces the saved ones, none clears them (repeatable)', collect)
+  .option('--wildcard <domain>', 'serve subdomains of this domain from one *.domain certificate (needs the DNS-01 challenge, repeatable)', collect)
+  .option('--skip-dns-check', 'deploy even if custom domains do not resolve to the VPS')
+  .option('-e, --email <email>', 'email for Let\'s Encrypt SSL certificates')
+  .option('--env-file <[service,...=]file>', '.env file to deploy with the app; later files override earlier ones (repeatable)', collect)
+  .option('--no-env-file', 'deploy without an .env file')
+  .option('--strategy <strategy>', 'rolling (zero-downtime, default) or recreate (down, then up)')
+  .option('--health-timeout <seconds>', 'how long new containers may take to become healthy', '120')
+  .option('--health-path <[service=]path>', 'path polled over HTTPS after deploy (default /, repeatable)', collect)
+  .option('--verify-timeout <seconds>', 'how long to wait for the public endpoint after deploy', '300')
+  .option('--no-verify', 'skip the post-deploy HTTPS and container checks')
+  .option('--build <strategy>', 'how services with a build section are built: server (upload the context and build on the VPS) or registry (build locally and push)')
+  .option('--registry <repository>', 'registry to push to with --build registry, e.g. ghcr.io/acme (default: one hackerrun runs on the VPS)')
+  .option('--keep-releases <count>', 'number of releases to keep on the server (default 10)')
+  .option('--keep-generated', 'keep the generated compose file in .hackerrun/ for inspection')
+  .option('--dry-run', 'resolve the deploy without touching the server')
+  .option('--list-files', 'with --dry-run, print the files each build context uploads and the archive size')
+  .option('-y, --yes', 'never prompt; use flags and answers saved in .hackerrun.json')
+  .action(async (options) => {
     try {
-      await deployCommand();
+      await deployCommand(options);
     } catch (error) {
       console.error(chalk.red('Error during deployment:'), error.message);
       process.exit(1);
     }
   });
 
+program
+  .command('releases')
+  .description('List the releases of this project stored on the server')
+  .option('--server <name>', 'server to query (defaults to the one the environment was deployed to)')
+  .option('--environment <name>', 'project environment', 'production')
+  .action(async (options) => {
+    try {
+      await releasesCommand(options);
+    } catch (error) {
+      console.error(chalk.red('Error listing releases:'), error.message);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('rollback [id]')
+  .description('Redeploy an earlier release exactly (defaults to the previous one)')
+  .option('--server <name>', 'server to roll back (defaults to the one the environment was deployed to)')
+  .option('--environment <name>', 'project environment', 'production')
+  .option('-y, --yes', 'do not ask for confirmation')
+  .action(async (id, options) => {
+    try {
+      await rollbackCommand(id, options);
+    } catch (error) {
+      console.error(chalk.red('Error during rollback:'), error.message);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('logs [service]')
+  .description('Stream container logs of this project from the server')
+  .option('-f, --follow', 'keep streaming new log lines')
+  .option('--since <time>', 'only show logs since a duration (10m, 2h) or timestamp')
+  .option('-n, --tail <lines>', 'number of lines to show from the end', '100')
+  .option('-t, --timestamps', 'show timestamps')
+  .option('--access', 'show the Traefik access log filtered to this project\'s routes')
+  .option('--server <name>', 'server to read from (defaults to the one the environment was deployed to)')
+  .option('--environment <name>', 'project environment', 'production')
+  .action(async (service, options) => {
+    try {
+      await logsCommand(service, options);
+    } catch (error) {
+      console.error(chalk.red('Error streaming logs:'), error.message);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('status')
+  .description('Show containers, routes and certificates of this project on the server')
+  .option('--json', 'print machine-readable JSON')
+  .option('--server <name>', 'server to query (defaults to the one the environment was deployed to)')
+  .option('--environment <name>', 'project environment', 'production')
+  .action(async (options) => {
+    try {
+      await statusCommand(options);
+    } catch (error) {
+      console.error(chalk.red('Error reading status:'), error.message);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('apps')
+  .description('List every project deployed on a server')
+  .option('--server <name>', 'server to query (defaults to the default server)')
+  .option('--json', 'print machine-readable JSON')
+  .action(async (options) => {
+    try {
+      await appsCommand(options);
+    } catch (error) {
+      console.error(chalk.red('Error listing apps:'), error.message);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('destroy')
+  .description('Stop and remove this project\'s containers and networks from the server')
+  .option('--server <name>', 'server to remove from (defaults to the one the environment was deployed to)')
+  .option('--environment <name>', 'project environment', 'production')
+  .option('--volumes', 'also remove the project\'s volumes (asks to type the project id)')
+  .option('--images', 'also remove the images the project\'s containers used')
+  .option('--releases', 'also remove the releases stored on the server')
+  .option('--confirm <project>', 'project id, to remove volumes without a prompt')
+  .option('-y, --yes', 'skip the confirmation prompt')
+  .action(async (options) => {
+    try {
+      await destroyCommand(options);
+    } catch (error) {
+      console.error(chalk.red('Error destroying project:'), error.message);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('dashboard')
+  .description('Publish the Traefik dashboard behind basic auth, printing the URL and generated credentials once')
+  .option('--server <name>', 'server whose dashboard to publish (defaults to the default server)')
+  .option('--domain <host>', 'domain for the dashboard (default traefik.<ip>.sslip.io)')
+  .option('--allow <ip|cidr>', 'only allow requests from these addresses (repeatable, replaces the current list)', collect)
+  .option('--no-allow', 'remove the IP allowlist')
+  .option('--reset-password', 'generate new credentials')
+  .option('-e, --email <email>', 'email for Let\'s Encrypt SSL certificates (needed until a deploy has set one)')
+  .option('--disable', 'take the dashboard down')
+  .action(async (options) => {
+    try {
+      await dashboardCommand(options);
+    } catch (error) {
+      console.error(chalk.red('Error configuring the dashboard:'), error.message);
+      process.exit(1);
+    }
+  });
+
+const secrets = program
+  .command('secrets')
+  .description('Manage secrets stored on the server and injected at deploy time');
+
+secrets
+  .command('set <pairs...>')
+  .description('Set secrets as KEY=VALUE (or just KEY to be prompted for the value)')
+  .option('--service <name>', 'service that receives the secrets; by default those whose environment lists them (repeatable)', collect)
+  .option('--server <name>', 'server to store them on (defaults to the one the environment was deployed to)')
+  .option('--environment <name>', 'project environment', 'production')
+  .action(async (pairs, options) => {
+    try {
+      await secretsSetCommand(pairs, options);
+    } catch (error) {
+      console.error(chalk.red('Error setting secrets:'), error.message);
+      process.exit(1);
+    }
+  });
+
+secrets
+  .command('list')
+  .description('List secret names with masked values')
+  .option('--server <name>', 'server to read from (defaults to the one the environment was deployed to)')
+  .option('--environment <name>', 'project environment', 'production')
+  .action(async (options) => {
+    try {
+      await secretsListCommand(options);
+    } catch (error) {
+      console.error(chalk.red('Error listing secrets:'), error.message);
+      process.exit(1);
+    }
+  });
+
+secrets
+  .command('unset <keys...>')
+  .description('Remove secrets')
+  .option('--server <name>', 'server to remove them from (defaults to the one the environment was deployed to)')
+  .option('--environment <name>', 'project environment', 'production')
+  .action(async (keys, options) => {
+    try {
+      await secretsUnsetCommand(keys, options);
+    } catch (error) {
+      console.error(chalk.red('Error removing secrets:'), error.message);
+      process.exit(1);
+    }
+  });
+
+const server = program
+  .command('server')
+  .description('Manage the VPS servers HackerRun deploys to');
+
+server
+  .command('add <name> <host>')
+  .description('Register a server (IP address or ~/.ssh/config alias) and create its Docker context')
+  .option('--default', 'make this the default server')
+  .option('--user <user>', 'SSH user (non-root users need passwordless sudo)')
+  .option('--ssh-port <port>', 'SSH port')
+  .option('--identity-file <path>', 'SSH private key')
+  .action(async (name, host, options) => {
+    try {
+      await serverAddCommand(name, host, options);
+    } catch (error) {
+      console.error(chalk.red('Error adding server:'), error.message);
+      process.exit(1);
+    }
+  });
+
+server
+  .command('list')
+  .description('List configured servers')
+  .action(async () => {
+    try {
+      await serverListCommand();
+    } catch (error) {
+      console.error(chalk.red('Error listing servers:'), error.message);
+      process.exit(1);
+    }
+  });
+
+server
+  .command('remove <name>')
+  .description('Remove a server and its Docker context')
+  .action(async (name) => {
+    try {
+      await serverRemoveCommand(name);
+    } catch (error) {
+      console.error(chalk.red('Error removing server:'), error.message);
+      process.exit(1);
+    }
+  });
+
+server
+  .command('default <name>')
+  .description('Set the server used when --server is not given')
+  .action(async (name) => {
+    try {
+      await serverDefaultCommand(name);
+    } catch (error) {
+      console.error(chalk.red('Error setting default server:'), error.message);
+      process.exit(1);
+    }
+  });
+
+server
+  .command('traefik [name]')
+  .description('Change the Traefik settings of a server (defaults to the default server) and apply them')
+  .option('-e, --email <email>', 'email for Let\'s Encrypt SSL certificates')
+  .option('--log-level <level>', 'DEBUG, INFO, WARN or ERROR')
+  .option('--dashboard', 'enable the Traefik dashboard')
+  .option('--no-dashboard', 'disable the Traefik dashboard')
+  .option('--access-log-format <format>', 'common or json')
+  .option('--entrypoint <name=[host]:port[/udp]>', 'add or change an extra entrypoint, e.g. postgres=:5432 (repeatable)', collect)
+  .option('--remove-entrypoint <name>', 'remove an extra entrypoint (repeatable)', collect)
+  .option('--challenge <type>', 'ACME challenge: http or dns')
+  .option('--dns-provider <name>', 'DNS provider for the DNS-01 challenge (implies --challenge dns)')
+  .option('--dns-env <KEY[=VALUE]>', 'credential for the DNS provider; KEY alone reads it from your environment (repeatable)', collect)
+  .option('--acme-staging', 'use the Let\'s Encrypt staging CA')
+  .option('--no-acme-staging', 'use the production Let\'s Encrypt CA')
+  .action(async (name, options) => {
+    try {
+      await serverTraefikCommand(name, options);
+    } catch (error) {
+      console.error(chalk.red('Error configuring Traefik:'), error.message);
+      process.exit(1);
+    }
+  });
+
 program.parse();
\ No newline at end of file
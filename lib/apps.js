@@ -0,0 +1,125 @@
+import chalk from 'chalk';
+import { Config } from './config.js';
+import { SSHClient } from './ssh.js';
+import { printTable } from './table.js';
+
+const APPS_DIR = '/opt/hackerrun/apps';
+// init starts Traefik from /opt/hackerrun, so compose names that stack after the directory
+export const TRAEFIK_PROJECT = 'hackerrun';
+export const REGISTRY_PROJECT = 'hackerrun-registry';
+// Compose projects hackerrun runs for itself, which no app may use or touch
+export const SYSTEM_PROJECTS = [TRAEFIK_PROJECT, REGISTRY_PROJECT];
+
+export class AppRegistry {
+  static appDir(projectId) {
+    return `${APPS_DIR}/${projectId}`;
+  }
+
+  // app.json is what `hackerrun apps` reads; releases and other per-project state live next to it
+  static async register(ssh, projectId, { name, environment, routes, release }) {
+    const app = {
+      project: projectId,
+      name,
+      environment,
+      routes: routes.map(route => ({ service: route.service, domain: route.domain, aliases: route.aliases })),
+      release: release ?? null,
+      deployedAt: new Date().toISOString()
+    };
+
+    await ssh.executeCommand(`mkdir -p ${this.appDir(projectId)}`);
+    await ssh.writeFile(`${this.appDir(projectId)}/app.json`, JSON.stringify(app, null, 2));
+    return app;
+  }
+
+  // The id is only unique per checkout, so a hand-picked "project" or an environment suffix ("app" in
+  // staging next to a project named "app-staging") can still land on another project's registration
+  static async assertOwner(ssh, projectId, { name, environment }) {
+    const output = await ssh.executeCommand(`cat ${this.appDir(projectId)}/app.json 2>/dev/null || true`);
+    if (!output.trim()) {
+      return;
+    }
+    const app = JSON.parse(output);
+    if (app.name !== name || app.environment !== environment) {
+      throw new Error(`'${projectId}' on this server belongs to project '${app.name}' (${app.environment}); set another "project" in .hackerrun.json`);
+    }
+  }
+
+  static async list(ssh) {
+    const output = await ssh.executeCommand(
+      `for f in ${APPS_DIR}/*/app.json; do [ -f "$f" ] && tr -d '\\n' < "$f" && echo; done; true`
+    );
+
+    return output
+      .split('\n')
+      .filter(line => line.trim())
+      .map(line => JSON.parse(line));
+  }
+
+  // Counts containers per compose project, including projects deployed before apps were registered
+  static async containerCounts(ssh) {
+    const output = await ssh.executeCommand(
+      'docker ps -a --filter label=com.docker.compose.project --format \'{{.Label "com.docker.compose.project"}} {{.State}}\''
+    );
+
+    const counts = {};
+    output.split('\n').filter(Boolean).forEach(line => {
+      const [project, state] = line.split(' ');
+      counts[project] = counts[project] || { running: 0, total: 0 };
+      counts[project].total++;
+      if (state === 'running') counts[project].running++;
+    });
+    SYSTEM_PROJECTS.forEach(project => delete counts[project]);
+    return counts;
+  }
+}
+
+export async function appsCommand(options = {}) {
+  const server = Config.resolveServer(options.server);
+
+  const ssh = SSHClient.forServer(server);
+  await ssh.connect();
+
+  let apps, counts;
+  try {
+    apps = await AppRegistry.list(ssh);
+    counts = await AppRegistry.containerCounts(ssh);
+  } finally {
+    await ssh.disconnect();
+  }
+
+  const unregistered = Object.keys(counts)
+    .filter(project => !apps.some(app => app.project === project))
+    .map(project => ({ project, name: null, environment: null, routes: [], release: null, deployedAt: null }));
+
+  const rows = [...apps, ...unregistered]
+    .map(app => ({ ...app, containers: counts[app.project] || { running: 0, total: 0 } }))
+    .sort((a, b) => a.project.localeCompare(b.project));
+
+  if (options.json) {
+    console.log(JSON.stringify(rows, null, 2));
+    return;
+  }
+
+  if (rows.length === 0) {
+    console.log(chalk.yellow(`Nothing deployed on server ${server.name} yet.`));
+    return;
+  }
+
+  console.log(chalk.blue.bold(`📦 Apps on ${server.name} (${server.ip})\n`));
+  printTable(
+    ['PROJECT', 'ENVIRONMENT', 'CONTAINERS', 'RELEASE', 'DEPLOYED', 'DOMAINS'],
+    rows.map(app => [
+      app.project,
+      app.environment ?? '-',
+      `${app.containers.running}/${app.containers.total} running`,
+      app.release ?? '-',
+      app.deployedAt ? app.deployedAt.replace('T', ' ').slice(0, 19) : '-',
+      app.routes.flatMap(route => [route.domain, ...route.aliases]).join(', ') || '-'
+    ]),
+    (column, value) => {
+      if (column !== 2) return value;
+      const [running, total] = value.split(' ')[0].split('/');
+      return running === total && total !== '0' ? chalk.green(value) : chalk.yellow(value);
+    }
+  );
+}
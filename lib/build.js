@@ -0,0 +1,145 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { exec } from 'child_process';
+import { promisify } from 'util';
+import { ComposeManager } from './compose.js';
+import { AppRegistry } from './apps.js';
+import { Registry } from './registry.js';
+
+const execAsync = promisify(exec);
+
+export const BUILD_STRATEGIES = ['server', 'registry'];
+// Images built on the server get a registry host that can never resolve, so a pull can't replace them
+const LOCAL_IMAGE_PREFIX = 'hackerrun.invalid';
+
+const shellQuote = (value) => `'${String(value).replace(/'/g, `'\\''`)}'`;
+
+// docker reports the machine, docker build wants a platform
+const PLATFORMS = { x86_64: 'linux/amd64', aarch64: 'linux/arm64', arm64: 'linux/arm64', armv7l: 'linux/arm/v7' };
+
+export class ImageBuilder {
+  static buildServices(composeData) {
+    return Object.keys(composeData.services).filter(name => composeData.services[name].build);
+  }
+
+  // A new tag per deploy, so a release always points at the image built for it
+  static tag() {
+    return new Date().toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+  }
+
+  static imageName(repository, projectId, serviceName, tag) {
+    return `${repository}/${projectId}-${serviceName}:${tag}`;
+  }
+
+  // Where a deploy's images go: the server's own image store, or a registry
+  static repository(buildStrategy, registry, server) {
+    if (buildStrategy === 'server') {
+      return LOCAL_IMAGE_PREFIX;
+    }
+    return registry ?? server.registry?.host ?? Registry.hostFor(server);
+  }
+
+  static buildFlags(build) {
+    const flags = [];
+    Object.entries(build.args ?? {}).forEach(([key, value]) => {
+      flags.push(value === null ? `--build-arg ${key}` : `--build-arg ${shellQuote(`${key}=${value}`)}`);
+    });
+    if (build.target) {
+      flags.push(`--target ${shellQuote(build.target)}`);
+    }
+    return flags.join(' ');
+  }
+
+  // Points the service at the built image instead of its build section
+  static pin(composeData, serviceName, image, { pullable }) {
+    const service = composeData.services[serviceName];
+    service.image = image;
+    delete service.build;
+    if (!pullable) {
+      service.pull_policy = 'never';
+    }
+  }
+
+  static contextPaths(serviceName, build) {
+    const context = path.resolve(build.context ?? '.');
+    const dockerfile = path.relative(context, path.resolve(context, build.dockerfile ?? 'Dockerfile'));
+    if (dockerfile.startsWith('..')) {
+      throw new Error(`The Dockerfile of '${serviceName}' is outside its build context; use --build registry instead`);
+    }
+    return { context, dockerfile };
+  }
+
+  // Archives a service's build context the way it is uploaded: .dockerignore applies when there is one,
+  // the .gitignore files otherwise, and the Dockerfile is always included
+  static async archiveContext(serviceName, build, archive) {
+    const { context, dockerfile } = this.contextPaths(serviceName, build);
+    const ignoreFile = ['.dockerignore', '.gitignore']
+      .map(name => path.join(context, name))
+      .find(file => fs.existsSync(file)) ?? null;
+
+    const files = await ComposeManager.createTarArchive(context, archive, ignoreFile, [dockerfile, '.dockerignore']);
+    return { files, size: fs.statSync(archive).size };
+  }
+
+  // Uploads the build context and runs docker build on the server
+  static async buildOnServer(ssh, projectId, serviceName, build, tag) {
+    const { dockerfile } = this.contextPaths(serviceName, build);
+    const image = this.imageName(LOCAL_IMAGE_PREFIX, projectId, serviceName, tag);
+
+    const archive = path.join(os.tmpdir(), `hackerrun-${projectId}-${serviceName}-${tag}.tar.gz`);
+    const remoteArchive = `/tmp/${path.basename(archive)}`;
+    const remoteDir = `${AppRegistry.appDir(projectId)}/build/${serviceName}`;
+
+    try {
+      await this.archiveContext(serviceName, build, archive);
+      // SFTP runs as the SSH user, so the archive goes through /tmp before sudo moves it into place
+      await ssh.uploadFile(archive, remoteArchive);
+    } finally {
+      fs.rmSync(archive, { force: true });
+    }
+
+    await ssh.executeCommand(`rm -rf ${remoteDir} && mkdir -p ${remoteDir} && tar -xzf ${remoteArchive} -C ${remoteDir}; status=$?; rm -f ${remoteArchive}; exit $status`);
+    await ssh.executeCommand(`docker build -t ${image} -f ${remoteDir}/${dockerfile} ${this.buildFlags(build)} ${remoteDir}`);
+    await ssh.executeCommand(`rm -rf ${remoteDir}`);
+    return image;
+  }
+
+  // Keeps the newest images built on the server for a service, as many as there are releases to roll back to
+  static async pruneServerImages(ssh, projectId, serviceName, keep) {
+    const repository = `${LOCAL_IMAGE_PREFIX}/${projectId}-${serviceName}`;
+    const tags = (await ssh.executeCommand(`docker images ${repository} --format '{{.Tag}}'`))
+      .split('\n')
+      .filter(Boolean)
+      .sort()
+      .reverse();
+
+    for (const tag of tags.slice(keep)) {
+      // Images still used by a container are skipped
+      await ssh.executeCommand(`docker image rm ${repository}:${tag} >/dev/null 2>&1 || true`);
+    }
+  }
+
+  // Builds for the server's platform with the local docker CLI and pushes to the registry
+  static async buildAndPush(repository, projectId, serviceName, build, tag, platform) {
+    const context = path.resolve(build.context ?? '.');
+    const dockerfile = path.resolve(context, build.dockerfile ?? 'Dockerfile');
+    const image = this.imageName(repository, projectId, serviceName, tag);
+
+    await execAsync(
+      `docker build --platform ${platform} -t ${image} -f ${shellQuote(dockerfile)} ${this.buildFlags(build)} ${shellQuote(context)}`,
+      { maxBuffer: 50 * 1024 * 1024 }
+    );
+    await execAsync(`docker push ${image}`, { maxBuffer: 50 * 1024 * 1024 });
+    return image;
+  }
+
+  static async serverPlatform(ssh) {
+    const machine = (await ssh.executeCommand('uname -m')).trim();
+    const platform = PLATFORMS[machine];
+    if (!platform) {
+      throw new Error(`Unsupported server architecture '${machine}'`);
+    }
+    return platform;
+  }
+}
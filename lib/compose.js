@@ -4,8 +4,75 @@ import YAML from 'yaml';
 import { createReadStream, createWriteStream } from 'fs';
 import tar from 'tar';
 import { pipeline } from 'stream/promises';
+import { exec } from 'child_process';
+import { promisify } from 'util';
+import { IgnoreMatcher } from './ignore.js';
+import { Middlewares } from './middlewares.js';
+
+const execAsync = promisify(exec);
+
+// The names docker compose looks for, in its order of preference
+const COMPOSE_FILE_NAMES = ['compose.yaml', 'compose.yml', 'docker-compose.yaml', 'docker-compose.yml'];
+// Where deploy writes the compose file it generates, relative to the project directory
+const GENERATED_DIR = '.hackerrun';
+const GENERATED_FILE = 'docker-compose.hackerrun.yml';
+// Base priority of path-prefix routers, well above the rule length Traefik uses for host-only ones
+const PATH_PRIORITY = 10000;
 
 export class ComposeManager {
+  // Same normalisation docker compose applies to a directory name when no project name is given
+  static projectName(dir = process.cwd()) {
+    return path.basename(dir).toLowerCase().replace(/[^a-z0-9_-]/g, '').replace(/^[^a-z0-9]+/, '');
+  }
+
+  // Without -f, docker compose uses the first standard file name it finds plus its override file
+  static discoverFiles(dir = process.cwd()) {
+    const file = COMPOSE_FILE_NAMES.find(name => fs.existsSync(path.join(dir, name)));
+    if (!file) {
+      return [];
+    }
+
+    const base = file.replace(/\.ya?ml$/, '');
+    const override = [`${base}.override.yaml`, `${base}.override.yml`].find(name => fs.existsSync(path.join(dir, name)));
+    return override ? [file, override] : [file];
+  }
+
+  // Lets docker compose merge the files and apply profiles, so the result is exactly what `docker compose config`
+  // shows; interpolation and env files are left for deploy time, when the env files and secrets are in place
+  static async loadProject(projectId, files, profiles = []) {
+    files.forEach(file => {
+      if (!fs.existsSync(file)) {
+        throw new Error(`Docker Compose file not found: ${file}`);
+      }
+    });
+    profiles.forEach(profile => {
+      if (!/^[a-zA-Z0-9][a-zA-Z0-9_.-]*$/.test(profile)) {
+        throw new Error(`Invalid profile name '${profile}'`);
+      }
+    });
+
+    const flags = [
+      ...files.map(file => `-f '${file.replace(/'/g, `'\\''`)}'`),
+      ...profiles.map(profile => `--profile ${profile}`)
+    ].join(' ');
+
+    let stdout;
+    try {
+      ({ stdout } = await execAsync(`docker compose -p ${projectId} ${flags} config --no-interpolate --no-env-resolution --format json`, {
+        maxBuffer: 10 * 1024 * 1024
+      }));
+    } catch (error) {
+      throw new Error(`docker compose config failed (Docker Compose 2.24 or newer is required): ${(error.stderr || error.message).trim()}`);
+    }
+
+    const composeData = JSON.parse(stdout);
+    // Only the services of the selected profiles are in the output; their profiles are dropped so a plain `up` starts them
+    Object.values(composeData.services ?? {}).forEach(service => {
+      delete service.profiles;
+    });
+    return composeData;
+  }
+
   static parseCompose(filePath) {
     if (!fs.existsSync(filePath)) {
       throw new Error(`Docker Compose file not found: ${filePath}`);
@@ -27,39 +94,142 @@ export class ComposeManager {
     return Object.keys(composeData.services);
   }
 
-  static addTraefikLabels(composeData, serviceName, domain) {
+  static buildHostRule(domains, path) {
+    const hostRule = [].concat(domains).map(domain => `Host(\`${domain}\`)`).join(' || ');
+    if (!path || path === '/') {
+      return hostRule;
+    }
+    const hosts = [].concat(domains).length > 1 ? `(${hostRule})` : hostRule;
+    return `${hosts} && PathPrefix(\`${path}\`)`;
+  }
+
+  // Traefik routers are global on a server, so they carry the project id; dots would split the label key
+  static routerName(projectId, serviceName) {
+    return `${projectId}-${serviceName.replace(/\./g, '-')}`;
+  }
+
+  // Labels as a key → value map, whichever form the compose file uses
+  static labelMap(labels) {
+    if (!Array.isArray(labels)) {
+      return { ...(labels ?? {}) };
+    }
+    return Object.fromEntries(labels.map(label => {
+      const separator = label.indexOf('=');
+      return separator === -1 ? [label, ''] : [label.slice(0, separator), label.slice(separator + 1)];
+    }));
+  }
+
+  // A wildcard certificate covers its domain and exactly one level of subdomains
+  static coveredByWildcard(host, wildcard) {
+    return host === wildcard || (host.endsWith(`.${wildcard}`) && !host.slice(0, -wildcard.length - 1).includes('.'));
+  }
+
+  // The certificates a router asks for: one wildcard certificate for the hosts a wildcard domain covers,
+  // and one per remaining host
+  static tlsDomains(domains, wildcards = []) {
+    const hosts = [].concat(domains);
+    const used = wildcards.filter(wildcard => hosts.some(host => this.coveredByWildcard(host, wildcard)));
+    const remaining = hosts.filter(host => !used.some(wildcard => this.coveredByWildcard(host, wildcard)));
+    return [
+      ...used.map(wildcard => ({ main: wildcard, sans: `*.${wildcard}` })),
+      ...remaining.map(host => ({ main: host }))
+    ];
+  }
+
+  // Labels the user already set win over the generated ones, so hand-written Traefik labels can tune or
+  // replace any part of the route; applying the same route twice changes nothing
+  static addTraefikLabels(composeData, projectId, serviceName, domains, port = 80, { wildcards = [], middlewares = [], path, priority, certResolver = 'letsencrypt' } = {}) {
     if (!composeData.services[serviceName]) {
       throw new Error(`Service '${serviceName}' not found in Docker Compose file`);
     }
 
     const service = composeData.services[serviceName];
-    
-    // Initialize labels if not exists
-    if (!service.labels) {
-      service.labels = [];
+
+    // The router names its service explicitly, since Traefik can't pick one when user labels define others
+    const routerName = this.routerName(projectId, serviceName);
+    const traefikLabels = {
+      'traefik.enable': 'true',
+      [`traefik.http.routers.${routerName}.rule`]: this.buildHostRule(domains, path),
+      [`traefik.http.routers.${routerName}.entrypoints`]: 'websecure',
+      [`traefik.http.routers.${routerName}.tls.certresolver`]: certResolver,
+      [`traefik.http.routers.${routerName}.service`]: routerName,
+      [`traefik.http.services.${routerName}.loadbalancer.server.port`]: String(port)
+    };
+    // Without tls.domains Traefik requests a certificate per host in the rule
+    if (wildcards.length > 0) {
+      this.tlsDomains(domains, wildcards).forEach((domain, index) => {
+        traefikLabels[`traefik.http.routers.${routerName}.tls.domains[${index}].main`] = domain.main;
+        if (domain.sans) {
+          traefikLabels[`traefik.http.routers.${routerName}.tls.domains[${index}].sans`] = domain.sans;
+        }
+      });
     }
 
-    // Convert labels to array format if it's an object
-    if (typeof service.labels === 'object' && !Array.isArray(service.labels)) {
-      service.labels = Object.entries(service.labels).map(([key, value]) => `${key}=${value}`);
+    if (middlewares.length > 0) {
+      const { labels: middlewareLabels, names } = Middlewares.labels(routerName, middlewares, domains);
+      Object.assign(traefikLabels, middlewareLabels);
+      traefikLabels[`traefik.http.routers.${routerName}.middlewares`] = names.join(',');
+    }
+    // Traefik ranks routers by rule length, which aliases inflate; path routes get priorities above any
+    // host-only rule instead, with longer prefixes first
+    if (priority === undefined && path && path !== '/') {
+      priority = PATH_PRIORITY + path.length;
+    }
+    if (priority !== undefined) {
+      traefikLabels[`traefik.http.routers.${routerName}.priority`] = String(priority);
     }
 
-    // Add Traefik labels
-    const traefikLabels = [
-      'traefik.enable=true',
-      `traefik.http.routers.${serviceName}.rule=Host(\`${domain}\`)`,
-      `traefik.http.routers.${serviceName}.entrypoints=websecure`,
-      `traefik.http.routers.${serviceName}.tls.certresolver=letsencrypt`,
-      `traefik.http.services.${serviceName}.loadbalancer.server.port=80`
-    ];
+    this.mergeLabels(service, traefikLabels);
+    return composeData;
+  }
 
-    // Add labels to the service
-    service.labels = [...service.labels, ...traefikLabels];
+  // Routes a TCP or UDP stream from an extra entrypoint to the service. TCP routers match on TLS SNI:
+  // without a host the entrypoint belongs to this service alone, with one Traefik either terminates
+  // TLS with a Let's Encrypt certificate or, with passthrough, hands the encrypted stream to the service
+  static addStreamLabels(composeData, projectId, { protocol, service: serviceName, port, entryPoint, sni, passthrough }, { certResolver = 'letsencrypt' } = {}) {
+    if (!composeData.services[serviceName]) {
+      throw new Error(`Service '${serviceName}' not found in Docker Compose file`);
+    }
+
+    // A service may be reachable on several entrypoints, so the entrypoint is part of the name
+    const routerName = `${this.routerName(projectId, serviceName)}-${entryPoint}`;
+    const prefix = `traefik.${protocol}`;
+    const streamLabels = {
+      'traefik.enable': 'true',
+      [`${prefix}.routers.${routerName}.entrypoints`]: entryPoint,
+      [`${prefix}.routers.${routerName}.service`]: routerName,
+      [`${prefix}.services.${routerName}.loadbalancer.server.port`]: String(port)
+    };
+    if (protocol === 'tcp') {
+      streamLabels[`${prefix}.routers.${routerName}.rule`] = `HostSNI(\`${sni ?? '*'}\`)`;
+      if (sni && passthrough) {
+        streamLabels[`${prefix}.routers.${routerName}.tls.passthrough`] = 'true';
+      } else if (sni) {
+        streamLabels[`${prefix}.routers.${routerName}.tls.certresolver`] = certResolver;
+      }
+    }
 
+    this.mergeLabels(composeData.services[serviceName], streamLabels);
     return composeData;
   }
 
-  static addTraefikNetwork(composeData) {
+  static mergeLabels(service, generated) {
+    const labels = this.labelMap(service.labels);
+    Object.entries(generated).forEach(([key, value]) => {
+      if (!(key in labels)) {
+        labels[key] = value;
+      }
+    });
+    service.labels = Object.entries(labels).map(([key, value]) => `${key}=${value}`);
+  }
+
+  // Only the given (exposed) services join the shared traefik network; they stay on the project's
+  // default network too, so internal services remain reachable to them and off the proxy network
+  static addTraefikNetwork(composeData, serviceNames) {
+    if (serviceNames.length === 0) {
+      return composeData;
+    }
+
     // Add networks if not exists
     if (!composeData.networks) {
       composeData.networks = {};
@@ -71,86 +241,170 @@ export class ComposeManager {
       };
     }
 
-    // Add traefik network to all services
-    Object.keys(composeData.services).forEach(serviceName => {
+    serviceNames.forEach(serviceName => {
       const service = composeData.services[serviceName];
-      if (!service.networks) {
-        service.networks = [];
+      // Without a networks entry compose attaches a service to default, which naming traefik alone would undo
+      if (!service.networks || Object.keys(service.networks).length === 0) {
+        service.networks = ['default'];
       }
       if (Array.isArray(service.networks)) {
         if (!service.networks.includes('traefik')) {
           service.networks.push('traefik');
         }
       } else {
-        service.networks.traefik = {};
+        if (!('traefik' in service.networks)) {
+          service.networks.traefik = {};
+        }
       }
     });
 
     return composeData;
   }
 
-  static addEnvFile(composeData, envFileName) {
-    // Set env_file to only the selected file for all services
-    Object.keys(composeData.services).forEach(serviceName => {
+  // env_file may be a single path or a list of paths and { path, required } entries
+  static envFileEntries(service) {
+    return service.env_file ? [].concat(service.env_file) : [];
+  }
+
+  static envFilePath(entry) {
+    return typeof entry === 'string' ? entry : entry.path;
+  }
+
+  // Appends the file after the env files a service already declares, so its values take precedence
+  static addEnvFile(composeData, envFileName, services = null) {
+    (services ?? Object.keys(composeData.services)).forEach(serviceName => {
       const service = composeData.services[serviceName];
-      
-      // Set env_file to only the selected env file
-      service.env_file = [envFileName];
+      if (!service) {
+        throw new Error(`Service '${serviceName}' not found in Docker Compose file`);
+      }
+
+      const entries = this.envFileEntries(service);
+      const present = entries.some(entry => path.resolve(this.envFilePath(entry)) === path.resolve(envFileName));
+      service.env_file = present ? entries : [...entries, envFileName];
     });
 
     return composeData;
   }
 
+  // Variable names defined in a dotenv file
+  static envFileKeys(filePath) {
+    return fs.readFileSync(filePath, 'utf8')
+      .split('\n')
+      .map(line => line.trim().match(/^(?:export\s+)?([A-Za-z_][A-Za-z0-9_]*)\s*=/))
+      .filter(Boolean)
+      .map(match => match[1]);
+  }
+
+  // Variables the compose file interpolates without a default value; $$ is an escaped dollar sign
+  static referencedVariables(content) {
+    const names = new Set();
+    const pattern = /\$\$|\$\{([A-Za-z_][A-Za-z0-9_]*)([^}]*)\}|\$([A-Za-z_][A-Za-z0-9_]*)/g;
+    let match;
+
+    while ((match = pattern.exec(content)) !== null) {
+      if (match[0] === '$$') continue;
+      const modifier = match[2] ?? '';
+      if (/^:?[-+]/.test(modifier)) continue;
+      names.add(match[1] ?? match[3]);
+    }
+
+    return [...names];
+  }
+
+  // Compose resolves relative paths against the directory of the first -f file, which for the generated
+  // file is .hackerrun/, so build contexts, bind mounts and env/config/secret files are made absolute
+  static absolutePaths(composeData, baseDir = process.cwd()) {
+    const resolve = (value) => path.isAbsolute(value) || value.startsWith('~') ? value : path.resolve(baseDir, value);
+    // Build contexts may also be git URLs
+    const resolveContext = (context) => /^[a-z][a-z0-9+.-]*:\/\/|^git@/i.test(context) ? context : resolve(context);
+
+    Object.values(composeData.services ?? {}).forEach(service => {
+      if (typeof service.build === 'string') {
+        service.build = resolveContext(service.build);
+      } else if (service.build) {
+        service.build.context = resolveContext(service.build.context ?? '.');
+      }
+
+      if (service.env_file) {
+        service.env_file = this.envFileEntries(service).map(entry =>
+          typeof entry === 'string' ? resolve(entry) : { ...entry, path: resolve(entry.path) }
+        );
+      }
+
+      if (service.volumes) {
+        service.volumes = service.volumes.map(volume => {
+          if (typeof volume === 'string') {
+            // Only sources starting with . are relative bind mounts; anything else without a / is a named volume
+            const [source, ...rest] = volume.split(':');
+            return source.startsWith('.') && rest.length > 0 ? [resolve(source), ...rest].join(':') : volume;
+          }
+          return volume.type === 'bind' && volume.source ? { ...volume, source: resolve(volume.source) } : volume;
+        });
+      }
+    });
+
+    ['configs', 'secrets'].forEach(section => {
+      Object.values(composeData[section] ?? {}).forEach(definition => {
+        if (definition?.file) {
+          definition.file = resolve(definition.file);
+        }
+      });
+    });
+
+    return composeData;
+  }
+
+  // Writes the compose file deploy runs into .hackerrun/, which ignores itself for git and for archives
+  static saveGenerated(composeData, dir = process.cwd()) {
+    const generatedDir = path.join(dir, GENERATED_DIR);
+    fs.mkdirSync(generatedDir, { recursive: true });
+    fs.writeFileSync(path.join(generatedDir, '.gitignore'), '*\n');
+
+    const filePath = path.join(GENERATED_DIR, GENERATED_FILE);
+    this.saveCompose(this.absolutePaths(JSON.parse(JSON.stringify(composeData)), dir), path.join(dir, filePath));
+    return filePath;
+  }
+
+  // Removes the generated file, and .hackerrun/ too once nothing else is left in it
+  static removeGenerated(filePath, dir = process.cwd()) {
+    fs.rmSync(path.join(dir, filePath), { force: true });
+
+    const generatedDir = path.join(dir, GENERATED_DIR);
+    if (fs.existsSync(generatedDir) && fs.readdirSync(generatedDir).every(name => name === '.gitignore')) {
+      fs.rmSync(generatedDir, { recursive: true, force: true });
+    }
+  }
+
   static saveCompose(composeData, filePath) {
     try {
-      const yamlContent = YAML.stringify(composeData, { indent: 2 });
+      const yamlContent = YAML.stringify(composeData, { indent: 2, lineWidth: 0 });
       fs.writeFileSync(filePath, yamlContent);
     } catch (error) {
       throw new Error(`Failed to save Docker Compose file: ${error.message}`);
     }
   }
 
-  static async createTarArchive(sourceDir, outputPath, gitignorePath = null) {
-    let ignore = ['node_modules', '.git', '*.log', '.DS_Store'];
-    
-    // Read .gitignore if it exists
-    if (gitignorePath && fs.existsSync(gitignorePath)) {
-      try {
-        const gitignoreContent = fs.readFileSync(gitignorePath, 'utf8');
-        const gitignoreRules = gitignoreContent
-          .split('\n')
-          .map(line => line.trim())
-          .filter(line => line && !line.startsWith('#'));
-        ignore = [...ignore, ...gitignoreRules];
-      } catch (error) {
-        console.warn(`Warning: Could not read .gitignore: ${error.message}`);
-      }
-    }
+  // Files of a build context, honouring .dockerignore when there is one and the .gitignore files otherwise
+  static listArchiveFiles(sourceDir, ignoreFilePath = null, alwaysInclude = []) {
+    return new IgnoreMatcher(sourceDir, ignoreFilePath).list(alwaysInclude);
+  }
 
-    // Always include .env file even if it's in .gitignore
-    ignore = ignore.filter(rule => rule !== '.env');
+  // Archives exactly the entries listArchiveFiles returns
+  static async createTarArchive(sourceDir, outputPath, ignoreFilePath = null, alwaysInclude = []) {
+    const files = this.listArchiveFiles(sourceDir, ignoreFilePath, alwaysInclude);
 
     try {
       await tar.create({
+        gzip: true,
         file: outputPath,
         cwd: sourceDir,
-        filter: (path) => {
-          // Exclude the deployment archive itself
-          if (path === 'hackerrun-deploy.tar.gz') return false;
-          
-          // Check if path matches any ignore pattern
-          return !ignore.some(pattern => {
-            // Simple pattern matching - can be enhanced with glob patterns
-            if (pattern.includes('*')) {
-              const regex = new RegExp(pattern.replace(/\*/g, '.*'));
-              return regex.test(path);
-            }
-            return path.includes(pattern);
-          });
-        }
-      }, ['.']);
+        portable: true,
+        noDirRecurse: true
+      }, files);
     } catch (error) {
       throw new Error(`Failed to create tar archive: ${error.message}`);
     }
+
+    return files;
   }
-}
\ No newline at end of file
+}
@@ -1,9 +1,19 @@
 import fs from 'fs';
 import path from 'path';
 import os from 'os';
+import crypto from 'crypto';
+import { ComposeManager } from './compose.js';
 
 const CONFIG_DIR = path.join(os.homedir(), '.hackerrun');
 const CONFIG_FILE = path.join(CONFIG_DIR, 'config.json');
+const DEFAULT_SERVER = 'default';
+
+export const DEFAULT_ENVIRONMENT = 'production';
+// Project names and environments end up unquoted in remote paths, shell commands and compose -p
+const NAME_PATTERN = /^[a-z0-9][a-z0-9_-]*$/;
+
+// Name for a project that has not saved one yet, kept for the rest of the process
+let generatedProjectName;
 
 export class Config {
   static ensureConfigDir() {
@@ -21,7 +31,7 @@ export class Config {
 
     try {
       const data = fs.readFileSync(CONFIG_FILE, 'utf8');
-      return JSON.parse(data);
+      return this.migrate(JSON.parse(data));
     } catch (error) {
       throw new Error(`Failed to load config: ${error.message}`);
     }
@@ -37,17 +47,71 @@ export class Config {
     }
   }
 
-  static getVpsIp() {
+  // Configs written before named servers stored a single top-level vpsIp
+  static migrate(config) {
+    if (config.vpsIp && !config.servers) {
+      config.servers = { [DEFAULT_SERVER]: { ip: config.vpsIp, initialized: true } };
+      config.defaultServer = DEFAULT_SERVER;
+    }
+    delete config.vpsIp;
+    return config;
+  }
+
+  static getServers() {
+    return this.load().servers || {};
+  }
+
+  static getServer(name) {
+    return this.getServers()[name];
+  }
+
+  static saveServer(name, server) {
     const config = this.load();
-    return config.vpsIp;
+    config.servers = { ...config.servers, [name]: server };
+    if (!config.defaultServer) {
+      config.defaultServer = name;
+    }
+    this.save(config);
   }
 
-  static setVpsIp(ip) {
+  static removeServer(name) {
     const config = this.load();
-    config.vpsIp = ip;
+    if (!config.servers || !config.servers[name]) {
+      throw new Error(`Server '${name}' not found`);
+    }
+    delete config.servers[name];
+    if (config.defaultServer === name) {
+      config.defaultServer = Object.keys(config.servers)[0];
+    }
     this.save(config);
   }
 
+  static getDefaultServerName() {
+    return this.load().defaultServer;
+  }
+
+  static setDefaultServer(name) {
+    const config = this.load();
+    if (!config.servers || !config.servers[name]) {
+      throw new Error(`Server '${name}' not found`);
+    }
+    config.defaultServer = name;
+    this.save(config);
+  }
+
+  // Returns the named server, or the default one when no name is given
+  static resolveServer(name) {
+    const serverName = name || this.getDefaultServerName();
+    if (!serverName) {
+      throw new Error('No server configured. Run \'hackerrun init\' or \'hackerrun server add <name> <ip>\' first.');
+    }
+    const server = this.getServer(serverName);
+    if (!server) {
+      throw new Error(`Server '${serverName}' not found. Run 'hackerrun server list' to see configured servers.`);
+    }
+    return { name: serverName, ...server };
+  }
+
   static getProjectConfig() {
     const projectConfigPath = path.join(process.cwd(), '.hackerrun.json');
     
@@ -72,4 +136,73 @@ export class Config {
       throw new Error(`Failed to save project config: ${error.message}`);
     }
   }
-}
\ No newline at end of file
+
+  // The environment to act on, its saved settings, its server (--server, then the last one used, then the default)
+  // and the project id everything on that server is namespaced by
+  static resolveTarget(options = {}) {
+    const environment = options.environment || DEFAULT_ENVIRONMENT;
+    if (!NAME_PATTERN.test(environment)) {
+      throw new Error(`Invalid environment '${environment}' (lowercase letters, digits, '-' and '_')`);
+    }
+    const environmentConfig = this.getEnvironmentConfig(environment);
+    const server = this.resolveServer(options.server || environmentConfig.server);
+    return { environment, environmentConfig, server, projectId: this.projectId(environment) };
+  }
+
+  // The directory name plus a random suffix, so two checkouts that happen to share a directory name never
+  // share a server's containers, routers, releases or secrets. It is saved before the first deploy or
+  // secret reaches a server, and renaming the directory afterwards does not orphan the running app
+  static getProjectName() {
+    const saved = this.getProjectConfig().project;
+    if (saved !== undefined) {
+      if (typeof saved !== 'string' || !NAME_PATTERN.test(saved)) {
+        throw new Error(`Invalid "project" '${saved}' in .hackerrun.json (lowercase letters, digits, '-' and '_', starting with a letter or digit)`);
+      }
+      return saved;
+    }
+    const base = ComposeManager.projectName();
+    if (!NAME_PATTERN.test(base)) {
+      throw new Error(`Cannot derive a project name from directory '${path.basename(process.cwd())}'; set "project" in .hackerrun.json (lowercase letters, digits, '-' and '_')`);
+    }
+    generatedProjectName ??= `${base}-${crypto.randomBytes(3).toString('hex')}`;
+    return generatedProjectName;
+  }
+
+  static saveProjectName(name) {
+    const { project, ...projectConfig } = this.sectionedProjectConfig();
+    if (project !== name) {
+      this.saveProjectConfig({ project: name, ...projectConfig });
+    }
+  }
+
+  // Namespaces the compose project, Traefik routers and remote directory of one environment on a shared server
+  static projectId(environment = DEFAULT_ENVIRONMENT) {
+    const name = this.getProjectName();
+    return environment === DEFAULT_ENVIRONMENT ? name : `${name}-${environment}`;
+  }
+
+  // Project config keeps one section per environment; older files were a single flat section
+  static getEnvironmentConfig(environment = DEFAULT_ENVIRONMENT) {
+    const projectConfig = this.getProjectConfig();
+    if (projectConfig.environments) {
+      return projectConfig.environments[environment] || {};
+    }
+    return environment === DEFAULT_ENVIRONMENT ? projectConfig : {};
+  }
+
+  static sectionedProjectConfig() {
+    const projectConfig = this.getProjectConfig();
+    if (projectConfig.environments) {
+      return projectConfig;
+    }
+    return Object.keys(projectConfig).length > 0
+      ? { environments: { [DEFAULT_ENVIRONMENT]: projectConfig } }
+      : { environments: {} };
+  }
+
+  static saveEnvironmentConfig(environment, environmentConfig) {
+    const projectConfig = this.sectionedProjectConfig();
+    projectConfig.environments[environment] = environmentConfig;
+    this.saveProjectConfig(projectConfig);
+  }
+}
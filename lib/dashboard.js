@@ -0,0 +1,78 @@
+import crypto from 'crypto';
+import chalk from 'chalk';
+import ora from 'ora';
+import { Config } from './config.js';
+import { SSHClient } from './ssh.js';
+import { TraefikConfig } from './traefik.js';
+
+const DASHBOARD_USER = 'admin';
+
+// Publishes the Traefik dashboard behind basic auth, or takes it down again with --disable.
+// Only the password hash is kept, so the password is shown once, when it is generated.
+export async function dashboardCommand(options = {}) {
+  const server = Config.resolveServer(options.server);
+  if (!server.initialized) {
+    throw new Error(`Server '${server.name}' is not initialized. Run 'hackerrun init --server ${server.name}' first.`);
+  }
+
+  const traefik = { ...server.traefik };
+  const current = traefik.dashboardRoute ?? null;
+  if (options.disable && !current) {
+    console.log(chalk.yellow(`The dashboard is not published on server ${server.name}.`));
+    return;
+  }
+
+  // Let's Encrypt refuses the placeholder address, so the dashboard's certificate needs the real one
+  const email = options.email ?? traefik.email;
+  if (!options.disable && !email) {
+    throw new Error(`Server '${server.name}' has no Let's Encrypt email yet; pass --email or run 'hackerrun server traefik ${server.name} --email <email>'`);
+  }
+
+  const host = options.domain ?? current?.host ?? `traefik.${server.ip}.sslip.io`;
+  // --no-allow clears the allowlist, --allow replaces it
+  const allowList = options.allow === false ? [] : options.allow ?? current?.allowList ?? [];
+  const password = !options.disable && (!current || options.resetPassword) ? crypto.randomBytes(16).toString('hex') : null;
+
+  const spinner = ora(options.disable ? 'Disabling the dashboard...' : 'Publishing the dashboard...').start();
+  const ssh = SSHClient.forServer(server);
+  let changed;
+
+  try {
+    await ssh.connect();
+    if (options.disable) {
+      traefik.dashboard = false;
+      traefik.dashboardRoute = null;
+    } else {
+      const users = password ? await TraefikConfig.htpasswd(ssh, DASHBOARD_USER, password) : current.users;
+      traefik.email = email;
+      traefik.dashboard = true;
+      traefik.dashboardRoute = { host, users, allowList };
+    }
+    changed = await TraefikConfig.apply(ssh, TraefikConfig.settings({ traefik }));
+  } catch (error) {
+    spinner.fail(options.disable ? 'Failed to disable the dashboard' : 'Failed to publish the dashboard');
+    throw error;
+  } finally {
+    await ssh.disconnect();
+  }
+
+  Config.saveServer(server.name, { ...Config.getServer(server.name), traefik });
+
+  if (options.disable) {
+    spinner.succeed(`Dashboard disabled on server ${server.name}`);
+    return;
+  }
+
+  spinner.succeed(changed ? `Dashboard published on server ${server.name}` : `Dashboard already published on server ${server.name}`);
+  console.log(chalk.gray('URL:      '), chalk.cyan(`https://${host}/dashboard/`));
+  if (password) {
+    console.log(chalk.gray('User:     '), DASHBOARD_USER);
+    console.log(chalk.gray('Password: '), password);
+    console.log(chalk.yellow('Save the password now; it is not stored and will not be shown again.'));
+  } else {
+    console.log(chalk.gray('Credentials are unchanged; use --reset-password to generate new ones.'));
+  }
+  if (allowList.length > 0) {
+    console.log(chalk.gray(`Only reachable from ${allowList.join(', ')}`));
+  }
+}
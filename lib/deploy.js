@@ -1,209 +1,296 @@
 import fs from 'fs';
+import os from 'os';
 import path from 'path';
 import inquirer from 'inquirer';
 import chalk from 'chalk';
 import ora from 'ora';
+import YAML from 'yaml';
 import { Config } from './config.js';
 import { ComposeManager } from './compose.js';
 import { DockerContext } from './docker-context.js';
 import { SSHClient } from './ssh.js';
-import { exec } from 'child_process';
-import { promisify } from 'util';
+import { DnsChecker } from './dns.js';
+import { Rollout } from './rollout.js';
+import { ReleaseStore, DEFAULT_KEEP_RELEASES } from './releases.js';
+import { HealthChecker } from './health.js';
+import { AppRegistry, SYSTEM_PROJECTS } from './apps.js';
+import { SecretStore } from './secrets.js';
+import { ImageBuilder, BUILD_STRATEGIES } from './build.js';
+import { Registry } from './registry.js';
+import { unifiedDiff, printDiff } from './diff.js';
+import { TraefikConfig } from './traefik.js';
+import { Middlewares } from './middlewares.js';
 
-const execAsync = promisify(exec);
+const DEPLOY_STRATEGIES = ['rolling', 'recreate'];
 
-export async function deployCommand() {
+export async function deployCommand(options = {}) {
   console.log(chalk.blue.bold('🚀 HackerRun Deploy'));
   console.log(chalk.gray('Deploying your app to VPS with Traefik...\n'));
 
-  // Check if VPS is configured
-  const vpsIp = Config.getVpsIp();
-  if (!vpsIp) {
-    console.error(chalk.red('❌ VPS not configured. Run'), chalk.cyan('hackerrun init'), chalk.red('first.'));
+  // Prompts are skipped with --yes or when there is no terminal to answer them (CI, scripts)
+  const interactive = !options.yes && process.stdin.isTTY;
+
+  // Pick the target server: --server, then the one this environment was last deployed to, then the default
+  let environment, projectConfig, server, projectId;
+  try {
+    ({ environment, environmentConfig: projectConfig, server, projectId } = Config.resolveTarget(options));
+    if (SYSTEM_PROJECTS.includes(projectId)) {
+      throw new Error(`Project name '${projectId}' is reserved for hackerrun itself; set another "project" in .hackerrun.json`);
+    }
+  } catch (error) {
+    console.error(chalk.red(`❌ ${error.message}`));
     process.exit(1);
   }
+  const vpsIp = server.ip;
+  const projectName = Config.getProjectName();
+  console.log(chalk.green(`✅ Deploying ${projectId} (${environment}) to server ${server.name} (${vpsIp})`));
 
-  // Check if docker-compose.yml exists
-  const composeFilePath = path.join(process.cwd(), 'docker-compose.yml');
-  if (!fs.existsSync(composeFilePath)) {
-    console.error(chalk.red('❌ docker-compose.yml not found in current directory'));
+  // -f files in order, then the saved ones, then the standard names docker compose looks for
+  const composeFiles = options.file ?? projectConfig.composeFiles ?? ComposeManager.discoverFiles();
+  if (composeFiles.length === 0) {
+    console.error(chalk.red('❌ No compose.yaml or docker-compose.yml found in current directory (pass -f <file>)'));
     process.exit(1);
   }
+  const profiles = options.profile ?? projectConfig.profiles ?? [];
 
-  console.log(chalk.green('✅ Found docker-compose.yml'));
+  console.log(chalk.green(`✅ Found ${composeFiles.join(' + ')}`) + (profiles.length > 0 ? chalk.gray(` (profiles: ${profiles.join(', ')})`) : ''));
 
-  // Parse compose file
+  // Merge the compose files following Compose rules
   let composeData;
   try {
-    composeData = ComposeManager.parseCompose(composeFilePath);
+    composeData = await ComposeManager.loadProject(projectId, composeFiles, profiles);
   } catch (error) {
-    console.error(chalk.red('❌ Failed to parse docker-compose.yml:'), error.message);
+    console.error(chalk.red('❌ Failed to load compose files:'), error.message);
     process.exit(1);
   }
 
-  // Handle .env file detection and selection
-  const selectedEnvFile = await handleEnvFile();
-
   // Get available services
   const services = ComposeManager.getServices(composeData);
   console.log(chalk.blue('📦 Found services:'), services.join(', '));
 
-  // Ask user which service to expose
-  const { selectedService } = await inquirer.prompt([
-    {
-      type: 'list',
-      name: 'selectedService',
-      message: 'Which service do you want to expose to the internet?',
-      choices: services
-    }
-  ]);
+  // Handle .env file detection and selection
+  const envFiles = await resolveEnvFiles(options, projectConfig, services, environment, interactive);
+  warnUndefinedVariables(composeFiles, envFiles);
 
-  // Ask for custom port if needed
-  const { customPort } = await inquirer.prompt([
-    {
-      type: 'input',
-      name: 'customPort',
-      message: `What port does ${selectedService} run on?`,
-      default: '80',
-      validate: (input) => {
-        const port = parseInt(input);
-        if (isNaN(port) || port < 1 || port > 65535) {
-          return 'Please enter a valid port number (1-65535)';
-        }
-        return true;
-      }
-    }
-  ]);
+  // Compose prefixes container names with the project id, but a fixed container_name is global on the server
+  services
+    .filter(serviceName => composeData.services[serviceName].container_name)
+    .forEach(serviceName => {
+      console.log(chalk.yellow(`⚠️  Service '${serviceName}' sets container_name, which may clash with other projects on the server`));
+    });
+
+  // Non-HTTP services reached through extra Traefik entrypoints
+  const streams = resolveStreams(options, projectConfig, services, server);
+
+  // Ask user which services to expose, each with its own port and subdomain
+  const routes = await resolveRoutes(options, projectConfig, services, interactive, vpsIp, streams.length > 0);
 
   // Ask for email for Let's Encrypt
-  const { email } = await inquirer.prompt([
-    {
-      type: 'input',
-      name: 'email',
-      message: 'Enter your email for Let\'s Encrypt SSL certificate:',
-      validate: (input) => {
-        const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-        if (!emailRegex.test(input)) {
-          return 'Please enter a valid email address';
-        }
-        return true;
+  let email = options.email ?? (interactive ? undefined : projectConfig.email);
+  if (email !== undefined) {
+    const valid = validateEmail(email);
+    if (valid !== true) {
+      throw new Error(`Invalid --email '${email}': ${valid}`);
+    }
+  } else {
+    requireInteractive(interactive, '--email');
+    ({ email } = await inquirer.prompt([
+      {
+        type: 'input',
+        name: 'email',
+        message: 'Enter your email for Let\'s Encrypt SSL certificate:',
+        default: projectConfig.email,
+        validate: validateEmail
       }
+    ]));
+  }
+
+  const strategy = options.strategy ?? projectConfig.strategy ?? 'rolling';
+  if (!DEPLOY_STRATEGIES.includes(strategy)) {
+    throw new Error(`Invalid --strategy '${strategy}' (expected ${DEPLOY_STRATEGIES.join(' or ')})`);
+  }
+  const buildStrategy = options.build ?? projectConfig.build ?? 'server';
+  if (!BUILD_STRATEGIES.includes(buildStrategy)) {
+    throw new Error(`Invalid --build '${buildStrategy}' (expected ${BUILD_STRATEGIES.join(' or ')})`);
+  }
+  // Without a registry of your own, hackerrun runs one on the server
+  const registry = options.registry ?? projectConfig.registry ?? null;
+  if (registry !== null && !/^[a-z0-9.-]+(:\d+)?(\/[a-z0-9._-]+)*$/.test(registry)) {
+    throw new Error(`Invalid --registry '${registry}' (expected host[:port][/namespace], e.g. ghcr.io/acme)`);
+  }
+  // The server's own registry would get an untrusted staging certificate, which docker refuses to push to
+  if (buildStrategy === 'registry' && registry === null && TraefikConfig.settings(server).staging) {
+    throw new Error(`--build registry needs a trusted certificate for the server's registry, but server ${server.name} uses the Let's Encrypt staging CA; use --build server, --registry <repository>, or 'hackerrun server traefik ${server.name} --no-acme-staging'`);
+  }
+  // Wildcard certificates can only be issued through the DNS-01 challenge
+  const wildcards = options.wildcard ?? projectConfig.wildcards ?? [];
+  wildcards.forEach(wildcard => {
+    if (validateHostname(wildcard) !== true) {
+      throw new Error(`Invalid --wildcard '${wildcard}' (expected a domain like example.com)`);
     }
-  ]);
+  });
+  if (wildcards.length > 0 && TraefikConfig.settings(server).challenge !== 'dns') {
+    throw new Error(`Wildcard certificates need the DNS-01 challenge; run 'hackerrun server traefik ${server.name} --dns-provider <name> --dns-env KEY=VALUE' first`);
+  }
+  const keepReleases = parseInt(options.keepReleases ?? projectConfig.keepReleases ?? DEFAULT_KEEP_RELEASES);
+  if (isNaN(keepReleases) || keepReleases < 1) {
+    throw new Error(`Invalid --keep-releases '${options.keepReleases}'`);
+  }
+  const verifyTimeout = parseInt(options.verifyTimeout ?? 300);
+  if (isNaN(verifyTimeout) || verifyTimeout < 1) {
+    throw new Error(`Invalid --verify-timeout '${options.verifyTimeout}'`);
+  }
+  const healthTimeout = parseInt(options.healthTimeout ?? 120);
+  if (isNaN(healthTimeout) || healthTimeout < 1) {
+    throw new Error(`Invalid --health-timeout '${options.healthTimeout}'`);
+  }
 
-  // Generate domain
-  const domain = `${selectedService}.${vpsIp}.sslip.io`;
-  console.log(chalk.yellow('🌐 Your app will be available at:'), chalk.cyan(`https://${domain}`));
+  console.log(chalk.yellow('🌐 Your app will be available at:'));
+  routes.forEach(route => {
+    const aliases = route.aliases.length > 0 ? chalk.gray(` (also ${route.aliases.join(', ')})`) : '';
+    // Only the middleware kinds, since basic-auth specs carry password hashes
+    const middlewares = route.middlewares.length > 0
+      ? chalk.gray(` [${route.middlewares.map(spec => spec.split(':')[0]).join(', ')}]`)
+      : '';
+    console.log(chalk.gray(`   ${route.service}:`), chalk.cyan(`https://${route.domain}${route.path ?? ''}`) + aliases + middlewares);
+  });
+  streams.forEach(stream => {
+    console.log(chalk.gray(`   ${stream.service}:`), chalk.cyan(streamAddress(stream, TraefikConfig.settings(server), vpsIp)));
+  });
+
+  // A dry run shows what the deploy would generate and change, and stops before anything is changed on the server
+  if (options.dryRun) {
+    await dryRun(composeData, {
+      projectId, server, routes, streams, envFiles, wildcards, email, buildStrategy, registry, listFiles: options.listFiles
+    });
+    return;
+  }
+
+  // Make sure custom domains point at the VPS before Let's Encrypt is asked for certificates
+  if (!options.skipDnsCheck) {
+    await verifyDns(routes, vpsIp, interactive);
+  }
+
+  // Saved before anything reaches the server, so even a failed first deploy can be found again
+  Config.saveProjectName(projectName);
+
+  // Secrets never leave the server except in memory; compose receives them through its environment
+  const secretsSpinner = ora('Loading secrets...').start();
+  let secrets;
 
-  // Create modified compose file
-  const spinner = ora('Creating deployment configuration...').start();
-  
   try {
-    // Clone the original compose data
-    const hackerrunComposeData = JSON.parse(JSON.stringify(composeData));
-    
-    // Add Traefik labels to selected service
-    ComposeManager.addTraefikLabels(hackerrunComposeData, selectedService, domain);
-    
-    // Update the port in Traefik labels if not default
-    if (customPort !== '80') {
-      const service = hackerrunComposeData.services[selectedService];
-      const portLabelIndex = service.labels.findIndex(label => 
-        label.includes('loadbalancer.server.port=')
-      );
-      if (portLabelIndex !== -1) {
-        service.labels[portLabelIndex] = `traefik.http.services.${selectedService}.loadbalancer.server.port=${customPort}`;
-      }
-    }
-    
-    // Add selected .env file if one was chosen
-    if (selectedEnvFile) {
-      ComposeManager.addEnvFile(hackerrunComposeData, selectedEnvFile);
-    }
-    
-    // Add Traefik network
-    ComposeManager.addTraefikNetwork(hackerrunComposeData);
-    
-    // Save the new compose file
-    const hackerrunComposeFilePath = path.join(process.cwd(), 'docker-compose.hackerrun.yml');
-    ComposeManager.saveCompose(hackerrunComposeData, hackerrunComposeFilePath);
-    
-    spinner.succeed('Deployment configuration created');
+    const ssh = SSHClient.forServer(server);
+    await ssh.connect();
+    await AppRegistry.assertOwner(ssh, projectId, { name: projectName, environment });
+    secrets = await SecretStore.load(ssh, projectId);
+    await ssh.disconnect();
+    const count = Object.keys(secrets).length;
+    secretsSpinner.succeed(count > 0 ? `Loaded ${count} secret(s)` : 'No secrets set');
+    SecretStore.unused(composeData, secrets).forEach(key => {
+      console.log(chalk.yellow(`⚠️  Secret ${key} reaches no service; list it under a service's environment or set it with --service`));
+    });
   } catch (error) {
-    spinner.fail('Failed to create deployment configuration');
+    secretsSpinner.fail('Failed to load secrets');
     console.error(chalk.red('Error:'), error.message);
     process.exit(1);
   }
 
-  // Update Traefik configuration with email
-  const emailSpinner = ora('Updating Traefik SSL configuration...').start();
+  // Traefik is shared by the server's projects; a deploy only sets its Let's Encrypt email. This comes
+  // before the build, since the server's registry needs a certificate issued for a real address
+  const traefikSpinner = ora('Updating Traefik configuration...').start();
   
   try {
-    const ssh = new SSHClient(vpsIp);
+    const ssh = SSHClient.forServer(server);
     await ssh.connect();
     
-    // Read current traefik config
-    const traefikConfig = await ssh.executeCommand('cat /opt/hackerrun/traefik/traefik.yml || echo ""');
-    
-    if (traefikConfig.trim() === '') {
-      // Create new traefik.yml with provided email
-      const traefikYml = `api:
-  dashboard: true
-  insecure: false
-
-entryPoints:
-  web:
-    address: ":80"
-    http:
-      redirections:
-        entryPoint:
-          to: websecure
-          scheme: https
-  websecure:
-    address: ":443"
-
-providers:
-  docker:
-    endpoint: "unix:///var/run/docker.sock"
-    exposedByDefault: false
-    network: traefik
-
-certificatesResolvers:
-  letsencrypt:
-    acme:
-      email: ${email}
-      storage: /etc/traefik/acme.json
-      httpChallenge:
-        entryPoint: web
-
-log:
-  level: INFO
-
-accessLog: {}`;
-      
-      await ssh.executeCommand(`cat > /opt/hackerrun/traefik/traefik.yml << 'EOF'
-${traefikYml}
-EOF`);
-      
-      // Restart Traefik to pick up new config
-      await ssh.executeCommand('cd /opt/hackerrun && docker compose -f docker-compose.traefik.yml restart traefik');
-    } else {
-      // Update existing config with new email
-      await ssh.executeCommand(`sed -i 's/email: .*/email: ${email}/' /opt/hackerrun/traefik/traefik.yml`);
-      await ssh.executeCommand('cd /opt/hackerrun && docker compose -f docker-compose.traefik.yml restart traefik');
+    let changed;
+    try {
+      changed = await TraefikConfig.apply(ssh, TraefikConfig.settings(server, { email }));
+    } finally {
+      await ssh.disconnect();
     }
-    
-    await ssh.disconnect();
-    emailSpinner.succeed('Traefik SSL configuration updated');
+    Config.saveServer(server.name, { ...Config.getServer(server.name), traefik: { ...server.traefik, email } });
+    traefikSpinner.succeed(changed ? 'Traefik configuration updated' : 'Traefik configuration unchanged');
   } catch (error) {
-    emailSpinner.fail('Failed to update Traefik SSL configuration');
+    traefikSpinner.fail('Failed to update Traefik configuration');
     console.error(chalk.red('Warning:'), error.message);
     console.log(chalk.yellow('SSL certificates may not work properly. Please check Traefik configuration manually.'));
   }
 
+  // Services with a build section are built explicitly and pinned to the image built for this deploy
+  const builtImages = {};
+  const buildServices = ImageBuilder.buildServices(composeData);
+  if (buildServices.length > 0) {
+    const buildSpinner = ora(`Building ${buildServices.join(', ')}...`).start();
+    const tag = ImageBuilder.tag();
+
+    try {
+      const ssh = SSHClient.forServer(server);
+      await ssh.connect();
+
+      try {
+        if (buildStrategy === 'server') {
+          for (const serviceName of buildServices) {
+            buildSpinner.text = `Building ${serviceName} on the server...`;
+            builtImages[serviceName] = await ImageBuilder.buildOnServer(ssh, projectId, serviceName, composeData.services[serviceName].build, tag);
+            await ImageBuilder.pruneServerImages(ssh, projectId, serviceName, keepReleases);
+          }
+        } else {
+          let repository = registry;
+          if (!repository) {
+            buildSpinner.text = 'Starting the registry on the server...';
+            const credentials = await Registry.ensure(ssh, server);
+            await Registry.waitForCertificate(credentials.host);
+            await Registry.login(credentials);
+            repository = credentials.host;
+          }
+
+          const platform = await ImageBuilder.serverPlatform(ssh);
+          for (const serviceName of buildServices) {
+            buildSpinner.text = `Building ${serviceName} for ${platform} and pushing to ${repository}...`;
+            builtImages[serviceName] = await ImageBuilder.buildAndPush(repository, projectId, serviceName, composeData.services[serviceName].build, tag, platform);
+          }
+        }
+      } finally {
+        await ssh.disconnect();
+      }
+
+      buildSpinner.succeed(`Built ${Object.values(builtImages).join(', ')}`);
+    } catch (error) {
+      buildSpinner.fail('Failed to build images');
+      console.error(chalk.red('Error:'), error.message);
+      process.exit(1);
+    }
+  }
+
+  // Create modified compose file
+  const spinner = ora('Creating deployment configuration...').start();
+  let hackerrunComposeData, generatedFile;
+  
+  try {
+    hackerrunComposeData = generateCompose(composeData, {
+      projectId, traefik: TraefikConfig.settings(server), routes, streams, envFiles, wildcards,
+      images: builtImages, pullable: buildStrategy === 'registry', secrets
+    });
+    // Only references to the secrets are written; their values are set on this process for compose to read
+    SecretStore.exportToProcess(secrets);
+    
+    // Save the new compose file outside the working tree, and remove it however deploy ends
+    generatedFile = ComposeManager.saveGenerated(hackerrunComposeData);
+    if (!options.keepGenerated) {
+      process.once('exit', () => ComposeManager.removeGenerated(generatedFile));
+    }
+    
+    spinner.succeed(options.keepGenerated ? `Deployment configuration written to ${generatedFile}` : 'Deployment configuration created');
+  } catch (error) {
+    spinner.fail('Failed to create deployment configuration');
+    console.error(chalk.red('Error:'), error.message);
+    process.exit(1);
+  }
+
   // Switch to VPS Docker context
   const contextSpinner = ora('Switching to VPS Docker context...').start();
-  const contextName = `hackerrun-${vpsIp.replace(/\./g, '-')}`;
+  const contextName = DockerContext.contextNameFor(vpsIp);
   let originalContext;
   
   try {
@@ -213,7 +300,7 @@ EOF`);
     // Check if context exists
     const contextExists = await DockerContext.contextExists(contextName);
     if (!contextExists) {
-      throw new Error(`Docker context '${contextName}' not found. Run 'hackerrun init' first.`);
+      throw new Error(`Docker context '${contextName}' not found. Run 'hackerrun init --server ${server.name}' first.`);
     }
     
     // Switch to VPS context
@@ -227,17 +314,25 @@ EOF`);
 
   // Deploy application using Docker context
   const deploySpinner = ora('Deploying application to VPS...').start();
+  const envFileFlags = interpolationFiles(envFiles).map(file => ` --env-file ${file}`).join('');
+  const composeCommand = `docker compose -p ${projectId}${envFileFlags} -f ${generatedFile}`;
+  let images = {};
   
   try {
-    // Stop any existing deployment
-    try {
-      await execAsync('docker compose -f docker-compose.hackerrun.yml down');
-    } catch (error) {
-      // Ignore errors if no previous deployment exists
+    // Rolling deploys start new containers next to the old ones and switch over once they are healthy
+    const result = await Rollout.run(strategy, composeCommand, hackerrunComposeData, routes.map(route => route.service), {
+      timeoutMs: healthTimeout * 1000,
+      onProgress: (message) => { deploySpinner.text = message; }
+    });
+
+    if (result.recreated.length > 0) {
+      deploySpinner.warn(`Recreated ${result.recreated.join(', ')} in place (container_name or published ports prevent a rolling update)`);
+      deploySpinner.start('Deploying application to VPS...');
+    }
+    if (result.relabeled.length > 0) {
+      deploySpinner.warn(`Recreated ${result.relabeled.join(', ')} in place (routing changed, which old and new containers can't serve side by side)`);
+      deploySpinner.start('Deploying application to VPS...');
     }
-    
-    // Start the new deployment
-    await execAsync('docker compose -f docker-compose.hackerrun.yml up -d');
     
     deploySpinner.succeed('Application deployed successfully');
   } catch (error) {
@@ -254,6 +349,13 @@ EOF`);
     process.exit(1);
   }
 
+  // Remember exactly which images are running for the release record
+  try {
+    images = await ReleaseStore.collectImages(composeCommand, Object.keys(hackerrunComposeData.services));
+  } catch (error) {
+    console.error(chalk.red('Warning: Failed to read image digests:'), error.message);
+  }
+
   // Switch back to original Docker context
   const restoreSpinner = ora('Restoring original Docker context...').start();
   
@@ -265,35 +367,813 @@ EOF`);
     console.error(chalk.red('Warning:'), error.message);
   }
 
-  // Clean up local files
-  // TODO: Temporarily disabled cleanup for inspection
-  // try {
-  //   fs.unlinkSync(path.join(process.cwd(), 'docker-compose.hackerrun.yml'));
-  // } catch (error) {
-  //   // Ignore cleanup errors
-  // }
+  // Record the deploy as a numbered release on the server
+  const releaseSpinner = ora('Recording release...').start();
+  let release;
+
+  try {
+    const ssh = SSHClient.forServer(server);
+    await ssh.connect();
+    release = await ReleaseStore.record(ssh, projectId, {
+      composeData: hackerrunComposeData,
+      images,
+      interpolationFiles: interpolationFiles(envFiles),
+      routes,
+      keep: keepReleases
+    });
+    await AppRegistry.register(ssh, projectId, { name: projectName, environment, routes, release: release.id });
+    await ssh.disconnect();
+    releaseSpinner.succeed(`Recorded release ${release.id}`);
+  } catch (error) {
+    releaseSpinner.fail('Failed to record release');
+    console.error(chalk.red('Warning:'), error.message);
+  }
 
   // Save deployment info
-  Config.saveProjectConfig({
+  Config.saveEnvironmentConfig(environment, {
+    server: server.name,
     vpsIp,
-    selectedService,
-    domain,
+    routes,
+    streams,
+    email,
+    envFiles,
+    composeFiles,
+    profiles,
+    build: buildStrategy,
+    registry,
+    wildcards,
+    strategy,
+    keepReleases,
+    release: release?.id,
     deployedAt: new Date().toISOString()
   });
 
+  // Make sure the app actually answers over HTTPS with a real certificate
+  if (options.verify !== false) {
+    const verified = await verifyDeployment(server, composeCommand, routes, streams, verifyTimeout);
+    if (!verified) {
+      console.error(chalk.red.bold('\n❌ Deployment verification failed'));
+      process.exit(1);
+    }
+  }
+
   console.log(chalk.green.bold('\n🎉 Deployment completed successfully!'));
   console.log(chalk.gray('Your application is now live at:'));
-  console.log(chalk.cyan.bold(`https://${domain}`));
-  console.log(chalk.gray('\nNote: SSL certificate may take a few minutes to be issued by Let\'s Encrypt.'));
+  routes.forEach(route => {
+    [route.domain, ...route.aliases].forEach(host => console.log(chalk.cyan.bold(`https://${host}${route.path ?? ''}`)));
+  });
+  streams.forEach(stream => {
+    console.log(chalk.cyan.bold(streamAddress(stream, TraefikConfig.settings(server), vpsIp)));
+  });
+  if (options.verify === false) {
+    console.log(chalk.gray('\nNote: SSL certificate may take a few minutes to be issued by Let\'s Encrypt.'));
+  }
 }
 
-async function handleEnvFile() {
-  // Look for available .env files
-  const envFiles = fs.readdirSync(process.cwd())
+// The compose file deploy runs: the project's own plus routing labels, env files, built images,
+// secret references and the traefik network
+function generateCompose(composeData, { projectId, traefik, routes, streams = [], envFiles, wildcards, images, pullable, secrets }) {
+  const generated = JSON.parse(JSON.stringify(composeData));
+
+  // Add Traefik labels to every exposed service
+  routes.forEach(route => {
+    ComposeManager.addTraefikLabels(generated, projectId, route.service, [route.domain, ...route.aliases], route.port, {
+      wildcards,
+      middlewares: route.middlewares,
+      path: route.path,
+      priority: route.priority,
+      certResolver: TraefikConfig.resolverFor(traefik, [route.domain, ...route.aliases])
+    });
+  });
+  streams.forEach(stream => {
+    ComposeManager.addStreamLabels(generated, projectId, stream, {
+      certResolver: TraefikConfig.resolverFor(traefik, [stream.sni].filter(Boolean))
+    });
+  });
+
+  // Add the selected .env files after the ones services already declare, in layering order
+  envFiles.forEach(envFile => {
+    ComposeManager.addEnvFile(generated, envFile.file, envFile.services);
+  });
+
+  Object.entries(images).forEach(([serviceName, image]) => {
+    ImageBuilder.pin(generated, serviceName, image, { pullable });
+  });
+
+  SecretStore.inject(generated, secrets);
+  const exposed = [...routes, ...streams].map(route => route.service);
+  ComposeManager.addTraefikNetwork(generated, [...new Set(exposed)]);
+  return generated;
+}
+
+const toYaml = (data) => YAML.stringify(data, { indent: 2, lineWidth: 0 });
+
+// Labels as key=value strings, whichever form the compose file uses
+const labelList = (labels) => Object.entries(ComposeManager.labelMap(labels)).map(([key, value]) => `${key}=${value}`);
+
+const networkNames = (networks) => Array.isArray(networks) ? networks : Object.keys(networks ?? {});
+
+// Prints the generated compose file and what hackerrun added to each service, then diffs the
+// compose file and traefik.yml against what the server runs
+async function dryRun(composeData, { projectId, server, routes, streams, envFiles, wildcards, email, buildStrategy, registry, listFiles }) {
+  // Built images get the name a deploy would give them now
+  const tag = ImageBuilder.tag();
+  const repository = ImageBuilder.repository(buildStrategy, registry, server);
+  const images = Object.fromEntries(ImageBuilder.buildServices(composeData).map(serviceName =>
+    [serviceName, ImageBuilder.imageName(repository, projectId, serviceName, tag)]
+  ));
+  const pullable = buildStrategy === 'registry';
+
+  const generated = generateCompose(composeData, { projectId, traefik: TraefikConfig.settings(server), routes, streams, envFiles, wildcards, images, pullable, secrets: {} });
+  console.log(chalk.blue.bold('\n📄 docker-compose.hackerrun.yml'));
+  console.log(toYaml(generated));
+
+  console.log(chalk.blue.bold('🔧 Added by hackerrun'));
+  Object.entries(generated.services).forEach(([serviceName, service]) => {
+    const original = composeData.services[serviceName];
+    const labels = labelList(service.labels).filter(label => !labelList(original.labels).includes(label));
+    const networks = networkNames(service.networks).filter(name => !networkNames(original.networks).includes(name));
+    const originalEnvFiles = ComposeManager.envFileEntries(original).map(entry => path.resolve(ComposeManager.envFilePath(entry)));
+    const added = ComposeManager.envFileEntries(service)
+      .map(entry => ComposeManager.envFilePath(entry))
+      .filter(file => !originalEnvFiles.includes(path.resolve(file)));
+
+    console.log(chalk.cyan(`   ${serviceName}`));
+    labels.forEach(label => console.log(chalk.gray(`     label     ${label}`)));
+    networks.forEach(name => console.log(chalk.gray(`     network   ${name}`)));
+    added.forEach(file => console.log(chalk.gray(`     env_file  ${path.relative(process.cwd(), path.resolve(file))}`)));
+    if (images[serviceName]) {
+      console.log(chalk.gray(`     image     ${images[serviceName]} (built with --build ${buildStrategy})`));
+    }
+  });
+
+  const interpolated = interpolationFiles(envFiles);
+  if (interpolated.length > 0) {
+    console.log(chalk.gray(`   compose interpolates with ${interpolated.map(file => `--env-file ${file}`).join(' ')}`));
+  }
+
+  if (listFiles) {
+    await listUploadFiles(composeData, buildStrategy);
+  }
+
+  // Comparing needs the server, but only reads from it
+  const diffSpinner = ora(`Comparing with ${projectId} on server ${server.name}...`).start();
+  let deployed, secrets, traefikConfig;
+
+  try {
+    const ssh = SSHClient.forServer(server);
+    await ssh.connect();
+    try {
+      deployed = await ReleaseStore.current(ssh, projectId);
+      secrets = await SecretStore.load(ssh, projectId);
+      traefikConfig = await ssh.executeCommand('cat /opt/hackerrun/traefik/traefik.yml 2>/dev/null || true');
+    } finally {
+      await ssh.disconnect();
+    }
+    diffSpinner.succeed(deployed ? `Comparing with release ${deployed.release.id}` : `${projectId} is not deployed on ${server.name} yet`);
+  } catch (error) {
+    diffSpinner.fail('Could not compare with the server');
+    console.error(chalk.red('Warning:'), error.message);
+    console.log(chalk.yellow('\nDry run: nothing was deployed'));
+    return;
+  }
+
+  // Secret references are part of the deployed file; their values never are
+  const withSecrets = generateCompose(composeData, { projectId, traefik: TraefikConfig.settings(server), routes, streams, envFiles, wildcards, images, pullable, secrets });
+  const composeDiff = unifiedDiff(deployed?.compose ?? '', toYaml(withSecrets),
+    deployed ? `release ${deployed.release.id}` : '/dev/null', 'docker-compose.hackerrun.yml');
+  console.log(chalk.blue.bold('\n📝 Compose changes'));
+  if (composeDiff.length > 0) {
+    printDiff(composeDiff);
+  } else {
+    console.log(chalk.gray('   none'));
+  }
+  if (Object.keys(images).length > 0) {
+    console.log(chalk.gray('   Built images always get a new tag'));
+  }
+
+  // Env files are stored with each release, so changed contents show up by hash
+  if (deployed) {
+    const storedEnvFiles = deployed.release.envFiles ?? [];
+    const currentEnvFiles = [...new Set(Object.values(withSecrets.services).flatMap(service =>
+      ComposeManager.envFileEntries(service).map(entry => path.relative(process.cwd(), path.resolve(ComposeManager.envFilePath(entry))))
+    ))];
+    const envChanges = [
+      ...currentEnvFiles.flatMap(file => {
+        const stored = storedEnvFiles.find(envFile => envFile.file === file);
+        if (!fs.existsSync(file)) return [];
+        if (!stored) return [chalk.green(`   + ${file}`)];
+        return stored.sha256 !== ReleaseStore.hashFile(file) ? [chalk.yellow(`   ~ ${file} (contents changed)`)] : [];
+      }),
+      ...storedEnvFiles.filter(envFile => !currentEnvFiles.includes(envFile.file)).map(envFile => chalk.red(`   - ${envFile.file}`))
+    ];
+    console.log(chalk.blue.bold('\n🔑 Env file changes'));
+    console.log(envChanges.length > 0 ? envChanges.join('\n') : chalk.gray('   none'));
+  }
+
+  const traefikDiff = unifiedDiff(traefikConfig, TraefikConfig.render(TraefikConfig.settings(server, { email })), 'traefik.yml (server)', 'traefik.yml');
+  console.log(chalk.blue.bold('\n🔀 Traefik changes'));
+  if (traefikDiff.length > 0) {
+    printDiff(traefikDiff);
+  } else {
+    console.log(chalk.gray('   none'));
+  }
+
+  console.log(chalk.yellow('\nDry run: nothing was deployed'));
+}
+
+// Prints each build context exactly as it would be archived and uploaded
+async function listUploadFiles(composeData, buildStrategy) {
+  const buildServices = ImageBuilder.buildServices(composeData);
+  if (buildServices.length === 0) {
+    console.log(chalk.gray('\nNothing to upload: no service has a build section'));
+    return;
+  }
+  if (buildStrategy !== 'server') {
+    console.log(chalk.gray(`\nNothing to upload: ${buildServices.join(', ')} are built locally with --build ${buildStrategy}`));
+    return;
+  }
+
+  for (const serviceName of buildServices) {
+    const archive = path.join(os.tmpdir(), `hackerrun-dry-run-${process.pid}-${serviceName}.tar.gz`);
+    try {
+      const { files, size } = await ImageBuilder.archiveContext(serviceName, composeData.services[serviceName].build, archive);
+      console.log(chalk.blue(`\n📤 ${serviceName}: ${files.length} entries, ${formatSize(size)} compressed`));
+      files.forEach(file => console.log(chalk.gray(`   ${file}`)));
+    } finally {
+      fs.rmSync(archive, { force: true });
+    }
+  }
+}
+
+function formatSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+// Stream services only get the container check; their protocols have no common health request
+async function verifyDeployment(server, composeCommand, routes, streams, timeoutSeconds) {
+  const services = [...new Set([...routes, ...streams].map(route => route.service))];
+  const contextName = DockerContext.contextNameFor(server.ip);
+  const spinner = ora('Checking containers...').start();
+
+  try {
+    await DockerContext.withContext(contextName, () => HealthChecker.checkContainers(composeCommand, services));
+    spinner.succeed('Containers are running');
+
+    for (const route of routes) {
+      const url = `https://${route.domain}${route.healthPath}`;
+      spinner.start(`Waiting for ${url}...`);
+      const result = await HealthChecker.waitForEndpoint(url, {
+        timeoutMs: timeoutSeconds * 1000,
+        guarded: Middlewares.answersForService(route.middlewares),
+        onProgress: (message) => { spinner.text = `Waiting for ${message}`; }
+      });
+      spinner.succeed(`${url} answered ${result.status} (certificate by ${result.issuer}, valid until ${result.validTo})`);
+    }
+    return true;
+  } catch (error) {
+    spinner.fail(error.message);
+  }
+
+  // Show what the containers were saying to help diagnose the failure
+  try {
+    const logs = await DockerContext.withContext(contextName, () => HealthChecker.recentLogs(composeCommand, services));
+    console.log(chalk.yellow('\nRecent container logs:'));
+    console.log(logs);
+  } catch (error) {
+    console.error(chalk.red('Warning: Failed to fetch container logs:'), error.message);
+  }
+  return false;
+}
+
+function validatePort(input) {
+  const port = parseInt(input);
+  if (isNaN(port) || port < 1 || port > 65535) {
+    return 'Please enter a valid port number (1-65535)';
+  }
+  return true;
+}
+
+function validateEmail(input) {
+  const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+  if (!emailRegex.test(input)) {
+    return 'Please enter a valid email address';
+  }
+  return true;
+}
+
+function validateSubdomain(input) {
+  const subdomainRegex = /^[a-z0-9]([a-z0-9-]*[a-z0-9])?(\.[a-z0-9]([a-z0-9-]*[a-z0-9])?)*$/i;
+  if (!subdomainRegex.test(input)) {
+    return 'Please enter a valid subdomain (letters, digits, hyphens and dots)';
+  }
+  return true;
+}
+
+function validateHostname(input) {
+  const hostnameRegex = /^([a-z0-9]([a-z0-9-]*[a-z0-9])?\.)+[a-z]{2,}$/i;
+  if (!hostnameRegex.test(input)) {
+    return 'Please enter a valid domain name (e.g. app.example.com)';
+  }
+  return true;
+}
+
+function parseList(input) {
+  return input.split(',').map(item => item.trim()).filter(Boolean);
+}
+
+function requireInteractive(interactive, flag) {
+  if (!interactive) {
+    throw new Error(`Missing required value ${flag} (no saved answer in .hackerrun.json and prompts are disabled)`);
+  }
+}
+
+// Parses a --service flag value of the form name[:port[:subdomain]]
+function parseServiceSpec(spec, defaultPort) {
+  const [service, port = defaultPort ?? '80', subdomain = service] = spec.split(':');
+  return { service, port, subdomain, aliases: [] };
+}
+
+// Routes saved before multi-service support only recorded selectedService and port
+function savedRoutes(projectConfig) {
+  if (Array.isArray(projectConfig.routes)) {
+    return projectConfig.routes;
+  }
+  if (projectConfig.selectedService) {
+    return [{
+      service: projectConfig.selectedService,
+      port: projectConfig.port ?? '80',
+      subdomain: projectConfig.selectedService,
+      aliases: []
+    }];
+  }
+  return [];
+}
+
+// With optional set (TCP/UDP streams are exposed), a deploy may expose no HTTP service at all
+async function resolveRoutes(options, projectConfig, services, interactive, vpsIp, optional = false) {
+  const saved = savedRoutes(projectConfig);
+  const serviceCount = options.service?.length || saved.length;
+  if (options.port !== undefined && serviceCount > 1) {
+    throw new Error('--port can only be used with a single service; use --service name:port instead');
+  }
+
+  let specs;
+  if (options.service && options.service.length > 0) {
+    // Saved middlewares stay attached, so redefining a service never silently drops its basic auth
+    specs = options.service.map(spec => parseServiceSpec(spec, options.port)).map(spec => ({
+      ...spec,
+      middlewares: saved.find(route => route.service === spec.service)?.middlewares
+    }));
+  } else if (!interactive) {
+    if (saved.length === 0 && !optional) {
+      requireInteractive(interactive, '--service');
+    }
+    specs = saved.map(route => ({ ...route, port: options.port ?? route.port }));
+  } else {
+    const { selectedServices } = await inquirer.prompt([
+      {
+        type: 'checkbox',
+        name: 'selectedServices',
+        message: 'Which services do you want to expose to the internet?',
+        choices: services.map(name => ({
+          name,
+          checked: saved.some(route => route.service === name)
+        })),
+        validate: (input) => input.length > 0 || optional || 'Please select at least one service'
+      }
+    ]);
+
+    specs = [];
+    for (const service of selectedServices) {
+      const previous = saved.find(route => route.service === service);
+      const answers = await inquirer.prompt([
+        {
+          type: 'input',
+          name: 'port',
+          message: `What port does ${service} run on?`,
+          default: previous ? String(previous.port) : '80',
+          validate: validatePort
+        },
+        {
+          type: 'input',
+          name: 'subdomain',
+          message: `Subdomain for ${service} (served at <subdomain>.${vpsIp}.sslip.io):`,
+          default: previous?.subdomain ?? service,
+          validate: validateSubdomain
+        },
+        {
+          type: 'input',
+          name: 'customDomain',
+          message: `Custom domain for ${service} (leave empty to use sslip.io):`,
+          default: previous?.customDomain ?? '',
+          validate: (input) => input.trim() === '' || validateHostname(input.trim())
+        },
+        {
+          type: 'input',
+          name: 'aliases',
+          message: `Additional domains for ${service} (comma-separated, optional):`,
+          default: (previous?.aliases ?? []).join(', '),
+          when: (answers) => answers.customDomain.trim() !== '',
+          validate: (input) => parseList(input).map(validateHostname).find(result => result !== true) ?? true
+        }
+      ]);
+      specs.push({
+        service,
+        port: answers.port,
+        subdomain: answers.subdomain,
+        customDomain: answers.customDomain.trim() || undefined,
+        aliases: parseList(answers.aliases ?? ''),
+        middlewares: previous?.middlewares,
+        path: previous?.path,
+        priority: previous?.priority
+      });
+    }
+  }
+
+  applyRouteFlags(specs, options);
+
+  const routes = specs.map(({ service, port, subdomain, customDomain, aliases = [], path, priority, healthPath = path ?? '/', middlewares = [] }) => {
+    if (!services.includes(service)) {
+      throw new Error(`Service '${service}' not found in the compose files (available: ${services.join(', ')})`);
+    }
+    port = String(port);
+    const validPort = validatePort(port);
+    if (validPort !== true) {
+      throw new Error(`Invalid port '${port}' for ${service}: ${validPort}`);
+    }
+    subdomain = subdomain || service;
+    const validSubdomain = validateSubdomain(subdomain);
+    if (validSubdomain !== true) {
+      throw new Error(`Invalid subdomain '${subdomain}' for ${service}: ${validSubdomain}`);
+    }
+    for (const host of [customDomain, ...aliases].filter(Boolean)) {
+      const validHost = validateHostname(host);
+      if (validHost !== true) {
+        throw new Error(`Invalid domain '${host}' for ${service}: ${validHost}`);
+      }
+    }
+    // '/' is the same as no prefix; a trailing slash would stop /api from matching itself
+    if (path !== undefined) {
+      if (!/^\/[A-Za-z0-9._~%!$&'()*+,;=:@/-]*$/.test(path)) {
+        throw new Error(`Invalid path '${path}' for ${service} (expected a prefix like /api)`);
+      }
+      path = path.replace(/\/+$/, '') || undefined;
+    }
+    if (priority !== undefined) {
+      priority = parseInt(priority);
+      if (isNaN(priority) || priority < 1) {
+        throw new Error(`Invalid priority for ${service} (expected a positive number)`);
+      }
+    }
+    const domain = customDomain ?? `${subdomain}.${vpsIp}.sslip.io`;
+    try {
+      Middlewares.validate(middlewares, [domain, ...aliases]);
+    } catch (error) {
+      throw new Error(`Invalid middleware for ${service}: ${error.message}`);
+    }
+    return {
+      service,
+      port,
+      subdomain,
+      customDomain,
+      domain,
+      aliases,
+      path,
+      priority,
+      healthPath: healthPath.startsWith('/') ? healthPath : `/${healthPath}`,
+      middlewares
+    };
+  });
+
+  const seenServices = new Set();
+  const seenDomains = new Set();
+  for (const route of routes) {
+    if (seenServices.has(route.service)) {
+      throw new Error(`Service '${route.service}' is exposed more than once`);
+    }
+    seenServices.add(route.service);
+    // Services can share a domain when they are routed by path prefix
+    for (const host of [route.domain, ...route.aliases]) {
+      const location = `${host}${route.path ?? ''}`;
+      if (seenDomains.has(location)) {
+        throw new Error(route.path ? `${location} is routed to more than one service` : `Domain ${host} is used more than once`);
+      }
+      seenDomains.add(location);
+    }
+  }
+
+  return routes;
+}
+
+// --domain, --alias, --path, --priority, --health-path and --middleware accept [service=]value; the service may be omitted when only one is exposed
+function applyRouteFlags(specs, options) {
+  const target = (value, flag) => {
+    const separator = value.indexOf('=');
+    const service = separator === -1 ? undefined : value.slice(0, separator);
+    const host = separator === -1 ? value : value.slice(separator + 1);
+
+    if (service === undefined && specs.length !== 1) {
+      throw new Error(`${flag} ${value} is ambiguous with several services; use ${flag} <service>=<value>`);
+    }
+    const spec = service === undefined ? specs[0] : specs.find(candidate => candidate.service === service);
+    if (!spec) {
+      throw new Error(`${flag} ${value} refers to a service that is not being exposed`);
+    }
+    return { spec, host };
+  };
+
+  for (const value of options.domain ?? []) {
+    const { spec, host } = target(value, '--domain');
+    spec.customDomain = host;
+  }
+
+  for (const value of options.path ?? []) {
+    const { spec, host: path } = target(value, '--path');
+    spec.path = path;
+  }
+
+  for (const value of options.priority ?? []) {
+    const { spec, host: priority } = target(value, '--priority');
+    spec.priority = priority;
+  }
+
+  for (const value of options.healthPath ?? []) {
+    const { spec, host: healthPath } = target(value, '--health-path');
+    spec.healthPath = healthPath;
+  }
+
+  // Aliases passed on the command line replace the saved ones for that service
+  const overridden = new Set();
+  for (const value of options.alias ?? []) {
+    const { spec, host } = target(value, '--alias');
+    if (!overridden.has(spec)) {
+      spec.aliases = [];
+      overridden.add(spec);
+    }
+    spec.aliases.push(host);
+  }
+
+  // Likewise for middlewares; 'none' leaves the service without any
+  const replaced = new Set();
+  for (const value of options.middleware ?? []) {
+    const { spec, host: middleware } = target(value, '--middleware');
+    if (!replaced.has(spec)) {
+      spec.middlewares = [];
+      replaced.add(spec);
+    }
+    if (middleware !== 'none') {
+      spec.middlewares.push(middleware);
+    }
+  }
+}
+
+// service:port@entrypoint, for TCP optionally followed by ,sni=<host> and ,passthrough
+function parseStreamSpec(protocol, spec) {
+  const [address, ...settings] = spec.split(',');
+  const match = address.match(/^([^:@]+):(\d+)@([^:@]+)$/);
+  if (!match) {
+    const expected = protocol === 'tcp' ? 'service:port@entrypoint[,sni=host][,passthrough]' : 'service:port@entrypoint';
+    throw new Error(`Invalid --${protocol} '${spec}' (expected ${expected}, e.g. db:5432@postgres)`);
+  }
+
+  const stream = { protocol, service: match[1], port: match[2], entryPoint: match[3] };
+  settings.forEach(setting => {
+    if (protocol === 'tcp' && setting.startsWith('sni=')) {
+      stream.sni = setting.slice('sni='.length);
+    } else if (protocol === 'tcp' && setting === 'passthrough') {
+      stream.passthrough = true;
+    } else {
+      throw new Error(`Unknown setting '${setting}' in --${protocol} ${spec}`);
+    }
+  });
+  return stream;
+}
+
+// --tcp and --udp replace the saved streams, --no-streams drops them. Entrypoints are server-wide,
+// so they must already be configured on the server ('hackerrun server traefik --entrypoint')
+function resolveStreams(options, projectConfig, services, server) {
+  let streams;
+  if (options.streams === false) {
+    streams = [];
+  } else if (options.tcp || options.udp) {
+    streams = [
+      ...(options.tcp ?? []).map(spec => parseStreamSpec('tcp', spec)),
+      ...(options.udp ?? []).map(spec => parseStreamSpec('udp', spec))
+    ];
+  } else {
+    streams = projectConfig.streams ?? [];
+  }
+
+  const entryPoints = TraefikConfig.settings(server).entryPoints;
+  const claimed = new Set();
+  for (const stream of streams) {
+    const { protocol, service, port, entryPoint, sni, passthrough } = stream;
+    if (!services.includes(service)) {
+      throw new Error(`Service '${service}' not found in the compose files (available: ${services.join(', ')})`);
+    }
+    const validPort = validatePort(String(port));
+    if (validPort !== true) {
+      throw new Error(`Invalid port '${port}' for ${service}: ${validPort}`);
+    }
+    if (sni !== undefined && validateHostname(sni) !== true) {
+      throw new Error(`Invalid SNI host '${sni}' for ${service}`);
+    }
+    if (passthrough && sni === undefined) {
+      throw new Error(`TLS passthrough for ${service} needs an SNI host (,sni=<host>)`);
+    }
+
+    // HTTPS routers share websecure, so TCP routers there must pick their connections by SNI
+    if (entryPoint === 'websecure' && protocol === 'tcp') {
+      if (sni === undefined) {
+        throw new Error(`A TCP route for ${service} on websecure needs an SNI host (,sni=<host>)`);
+      }
+    } else if (!(entryPoint in entryPoints)) {
+      throw new Error(`Entrypoint '${entryPoint}' is not configured on server ${server.name}; add it with 'hackerrun server traefik ${server.name} --entrypoint ${entryPoint}=:<port>${protocol === 'udp' ? '/udp' : ''}'`);
+    } else if (TraefikConfig.parseAddress(entryPoints[entryPoint]).protocol !== protocol) {
+      throw new Error(`Entrypoint '${entryPoint}' does not accept ${protocol.toUpperCase()} (${entryPoints[entryPoint]})`);
+    }
+
+    // Without SNI a stream owns its entrypoint
+    const key = `${entryPoint}/${sni ?? '*'}`;
+    const shared = [...claimed].some(other => other.startsWith(`${entryPoint}/`));
+    if (claimed.has(key) || claimed.has(`${entryPoint}/*`) || (sni === undefined && shared)) {
+      throw new Error(`Entrypoint '${entryPoint}' is routed to more than one service${sni ? ` for ${sni}` : ''}`);
+    }
+    claimed.add(key);
+  }
+  return streams;
+}
+
+// Where clients connect to a stream
+function streamAddress({ protocol, entryPoint, sni, passthrough }, traefik, vpsIp) {
+  const port = entryPoint === 'websecure' ? 443 : TraefikConfig.parseAddress(traefik.entryPoints[entryPoint]).port;
+  const tls = sni ? (passthrough ? ' (TLS, passed through)' : ' (TLS)') : '';
+  return `${protocol}://${sni ?? vpsIp}:${port}${tls}`;
+}
+
+async function verifyDns(routes, vpsIp, interactive) {
+  // Routes split by path share their domains
+  const hostnames = [...new Set(routes.flatMap(route => [route.domain, ...route.aliases]))];
+  const spinner = ora('Verifying DNS records...').start();
+
+  let results;
+  try {
+    results = await Promise.all(hostnames.map(hostname => DnsChecker.checkPointsTo(hostname, vpsIp)));
+  } catch (error) {
+    spinner.warn(`Could not verify DNS records: ${error.message}`);
+    return;
+  }
+
+  const mismatched = results.filter(result => !result.ok);
+  if (mismatched.length === 0) {
+    spinner.succeed('DNS records point at the VPS');
+    return;
+  }
+
+  spinner.warn('Some domains do not point at the VPS');
+  mismatched.forEach(result => {
+    const actual = result.addresses.length > 0 ? result.addresses.join(', ') : 'no A record';
+    console.log(chalk.yellow(`   ${result.hostname} → ${actual} (expected ${vpsIp})`));
+  });
+  console.log(chalk.gray('Let\'s Encrypt will fail to issue certificates for these names and may rate-limit further attempts.'));
+
+  if (!interactive) {
+    throw new Error('DNS verification failed. Fix the records or pass --skip-dns-check to deploy anyway');
+  }
+
+  const { proceed } = await inquirer.prompt([
+    {
+      type: 'confirm',
+      name: 'proceed',
+      message: 'Deploy anyway?',
+      default: false
+    }
+  ]);
+
+  if (!proceed) {
+    throw new Error('Deployment cancelled: DNS records do not point at the VPS');
+  }
+}
+
+// Parses an --env-file flag value of the form [service,...=]file
+function parseEnvFileSpec(spec) {
+  const separator = spec.indexOf('=');
+  if (separator === -1) {
+    return { file: spec, services: null };
+  }
+  return { file: spec.slice(separator + 1), services: spec.slice(0, separator).split(',') };
+}
+
+// Configs saved before env files were layered have a single envFile (null meant none)
+function savedEnvFiles(projectConfig) {
+  if (projectConfig.envFiles) {
+    return projectConfig.envFiles;
+  }
+  if (projectConfig.envFile === null) {
+    return [];
+  }
+  return projectConfig.envFile ? [{ file: projectConfig.envFile, services: null }] : undefined;
+}
+
+function listEnvFiles() {
+  return fs.readdirSync(process.cwd())
     .filter(file => file.startsWith('.env'))
     .sort();
+}
+
+// Shared values first, then the environment's own file, so the latter overrides the former
+function layeredEnvFiles(envFileNames, environment) {
+  return ['.env', `.env.${environment}`].filter(file => envFileNames.includes(file));
+}
+
+function describeEnvFiles(envFiles) {
+  return envFiles
+    .map(envFile => envFile.services ? `${envFile.file} (${envFile.services.join(', ')})` : envFile.file)
+    .join(' + ');
+}
+
+// Files applied to every service are also what compose interpolates ${VAR} in the compose file from;
+// without any, compose falls back to .env in the project directory
+function interpolationFiles(envFiles) {
+  const shared = envFiles.filter(envFile => !envFile.services).map(envFile => envFile.file);
+  if (shared.length > 0) {
+    return shared;
+  }
+  return fs.existsSync(path.join(process.cwd(), '.env')) ? ['.env'] : [];
+}
 
-  if (envFiles.length === 0) {
+function warnUndefinedVariables(composeFiles, envFiles) {
+  const sources = interpolationFiles(envFiles);
+  const defined = new Set(sources.flatMap(file => ComposeManager.envFileKeys(file)));
+  const content = composeFiles.map(file => fs.readFileSync(file, 'utf8')).join('\n');
+  const missing = ComposeManager.referencedVariables(content)
+    .filter(name => !defined.has(name) && process.env[name] === undefined);
+
+  if (missing.length > 0) {
+    const where = sources.length > 0 ? sources.join(', ') : 'any env file';
+    console.log(chalk.yellow(`⚠️  ${composeFiles.join(' + ')} uses ${missing.map(name => `\${${name}}`).join(', ')}, which is not defined in ${where} or the shell environment`));
+  }
+}
+
+async function resolveEnvFiles(options, projectConfig, services, environment, interactive) {
+  // --no-env-file sets envFile to false
+  if (options.envFile === false) {
+    console.log(chalk.gray('ℹ️  Proceeding without .env file'));
+    return [];
+  }
+
+  let envFiles;
+  if (options.envFile !== undefined) {
+    envFiles = options.envFile.map(parseEnvFileSpec);
+  } else if (interactive) {
+    envFiles = await handleEnvFile(savedEnvFiles(projectConfig), environment);
+  } else {
+    // Replay the saved choice while its files still exist, otherwise look for .env files
+    const saved = savedEnvFiles(projectConfig);
+    const usable = saved && saved.every(envFile => fs.existsSync(path.join(process.cwd(), envFile.file)));
+    envFiles = usable ? saved : detectEnvFiles(environment);
+  }
+
+  envFiles.forEach(envFile => {
+    if (!fs.existsSync(path.join(process.cwd(), envFile.file))) {
+      throw new Error(`Env file not found: ${envFile.file}`);
+    }
+    (envFile.services ?? []).forEach(serviceName => {
+      if (!services.includes(serviceName)) {
+        throw new Error(`Service '${serviceName}' in --env-file ${serviceName}=${envFile.file} not found in the compose files`);
+      }
+    });
+  });
+
+  if (envFiles.length > 0) {
+    console.log(chalk.green(`✅ Using .env files: ${describeEnvFiles(envFiles)}`));
+  } else {
+    console.log(chalk.gray('ℹ️  Proceeding without .env file'));
+  }
+  return envFiles;
+}
+
+function detectEnvFiles(environment) {
+  const envFileNames = listEnvFiles();
+  if (envFileNames.length <= 1) {
+    return envFileNames.map(file => ({ file, services: null }));
+  }
+
+  const layered = layeredEnvFiles(envFileNames, environment);
+  if (layered.length === 0) {
+    throw new Error(`Multiple .env files found (${envFileNames.join(', ')}). Pass --env-file <file> or --no-env-file`);
+  }
+  return layered.map(file => ({ file, services: null }));
+}
+
+async function handleEnvFile(saved, environment) {
+  // Look for available .env files
+  const envFileNames = listEnvFiles();
+
+  if (envFileNames.length === 0) {
     // No .env files found, prompt user to create one
     console.log(chalk.yellow('⚠️  No .env files found in the project.'));
     
@@ -309,36 +1189,31 @@ async function handleEnvFile() {
     if (createEnv) {
       fs.writeFileSync(path.join(process.cwd(), '.env'), '# Add your environment variables here\n');
       console.log(chalk.green('✅ Created empty .env file'));
-      return '.env';
-    } else {
-      console.log(chalk.gray('ℹ️  Proceeding without .env file'));
-      return null;
+      return [{ file: '.env', services: null }];
     }
-  } else if (envFiles.length === 1) {
-    // Single .env file found
-    console.log(chalk.green(`✅ Found .env file: ${envFiles[0]}`));
-    return envFiles[0];
-  } else {
-    // Multiple .env files found, let user choose
-    console.log(chalk.yellow(`⚠️  Multiple .env files found: ${envFiles.join(', ')}`));
-    
-    const choices = [...envFiles, { name: 'None (proceed without .env file)', value: null }];
-    
-    const { selectedEnvFile } = await inquirer.prompt([
-      {
-        type: 'list',
-        name: 'selectedEnvFile',
-        message: 'Which .env file would you like to use for deployment?',
-        choices: choices
-      }
-    ]);
+    return [];
+  }
 
-    if (selectedEnvFile) {
-      console.log(chalk.green(`✅ Using .env file: ${selectedEnvFile}`));
-    } else {
-      console.log(chalk.gray('ℹ️  Proceeding without .env file'));
-    }
-    
-    return selectedEnvFile;
+  // Keep the services a saved file was targeted at when it is picked again
+  const withSavedTargets = (file) => (saved ?? []).find(envFile => envFile.file === file) ?? { file, services: null };
+
+  if (envFileNames.length === 1) {
+    return [withSavedTargets(envFileNames[0])];
   }
-}
\ No newline at end of file
+
+  // Multiple .env files found; choices are listed in the order they are layered
+  const savedFiles = (saved ?? []).map(envFile => envFile.file).filter(file => envFileNames.includes(file));
+  const defaults = savedFiles.length > 0 ? savedFiles : layeredEnvFiles(envFileNames, environment);
+  const ordered = [...new Set([...defaults, ...envFileNames])];
+
+  const { selectedEnvFiles } = await inquirer.prompt([
+    {
+      type: 'checkbox',
+      name: 'selectedEnvFiles',
+      message: 'Which .env files would you like to use for deployment? (later files override earlier ones)',
+      choices: ordered.map(file => ({ name: file, value: file, checked: defaults.includes(file) }))
+    }
+  ]);
+
+  return selectedEnvFiles.map(withSavedTargets);
+}
@@ -0,0 +1,139 @@
+import inquirer from 'inquirer';
+import chalk from 'chalk';
+import ora from 'ora';
+import { Config } from './config.js';
+import { SSHClient } from './ssh.js';
+import { AppRegistry, SYSTEM_PROJECTS } from './apps.js';
+import { ReleaseStore } from './releases.js';
+
+// Everything is selected by the compose project label deploy sets, so other projects and Traefik are never matched
+function projectFilter(projectId) {
+  return `--filter label=com.docker.compose.project=${projectId}`;
+}
+
+async function listIds(ssh, command) {
+  return (await ssh.executeCommand(command)).split('\n').map(id => id.trim()).filter(Boolean);
+}
+
+async function confirmDestroy(projectId, environment, server, options, interactive) {
+  const removing = ['containers', 'networks'];
+  if (options.volumes) removing.push(chalk.red('volumes'));
+  if (options.images) removing.push('images');
+  if (options.releases) removing.push('stored releases');
+
+  if (interactive) {
+    const { proceed } = await inquirer.prompt([
+      {
+        type: 'confirm',
+        name: 'proceed',
+        message: `Remove ${removing.join(', ')} of ${projectId} (${environment} on ${server.name})?`,
+        default: false
+      }
+    ]);
+    if (!proceed) return false;
+  } else if (!options.yes) {
+    throw new Error('Refusing to destroy without confirmation; pass --yes');
+  }
+
+  // Volumes hold data that no release can bring back, so they need the project id typed out even with --yes
+  if (options.volumes && options.confirm !== projectId) {
+    if (!process.stdin.isTTY) {
+      throw new Error(`Removing volumes requires --confirm ${projectId}`);
+    }
+    await inquirer.prompt([
+      {
+        type: 'input',
+        name: 'typed',
+        message: `Volumes will be deleted permanently. Type ${chalk.bold(projectId)} to confirm:`,
+        validate: (input) => input === projectId || `Type '${projectId}' exactly, or press Ctrl+C to cancel`
+      }
+    ]);
+  }
+
+  return true;
+}
+
+export async function destroyCommand(options = {}) {
+  console.log(chalk.blue.bold('💥 HackerRun Destroy'));
+
+  const interactive = !options.yes && process.stdin.isTTY;
+  const { environment, environmentConfig, server, projectId } = Config.resolveTarget(options);
+  if (SYSTEM_PROJECTS.includes(projectId)) {
+    throw new Error(`Project '${projectId}' is run by hackerrun itself and cannot be destroyed`);
+  }
+
+  if (!await confirmDestroy(projectId, environment, server, options, interactive)) {
+    console.log(chalk.gray('Destroy cancelled'));
+    return;
+  }
+
+  const ssh = SSHClient.forServer(server);
+  await ssh.connect();
+  const spinner = ora(`Removing ${projectId} from ${server.name}...`).start();
+
+  try {
+    await AppRegistry.assertOwner(ssh, projectId, { name: Config.getProjectName(), environment });
+    const filter = projectFilter(projectId);
+    const containers = await listIds(ssh, `docker ps -aq ${filter}`);
+    // Image ids have to be read before the containers using them are gone
+    const images = containers.length > 0
+      ? [...new Set(await listIds(ssh, `docker inspect --format '{{.Image}}' ${containers.join(' ')}`))]
+      : [];
+
+    if (containers.length > 0) {
+      spinner.text = `Removing ${containers.length} container(s)...`;
+      await ssh.executeCommand(`docker rm -f ${containers.join(' ')}`);
+    }
+
+    const networks = await listIds(ssh, `docker network ls -q ${filter}`);
+    if (networks.length > 0) {
+      spinner.text = `Removing ${networks.length} network(s)...`;
+      await ssh.executeCommand(`docker network rm ${networks.join(' ')}`);
+    }
+
+    let volumes = [];
+    if (options.volumes) {
+      volumes = await listIds(ssh, `docker volume ls -q ${filter}`);
+      if (volumes.length > 0) {
+        spinner.text = `Removing ${volumes.length} volume(s)...`;
+        await ssh.executeCommand(`docker volume rm ${volumes.join(' ')}`);
+      }
+    }
+
+    // Images still used by another project's containers are kept; docker refuses to remove them anyway
+    let removedImages = 0;
+    if (options.images) {
+      for (const image of images) {
+        spinner.text = 'Removing images...';
+        const result = await ssh.executeCommand(`docker image rm ${image} >/dev/null 2>&1 && echo removed || true`);
+        if (result.trim() === 'removed') removedImages++;
+      }
+    }
+
+    // Without --releases the history stays, with no current release so `hackerrun rollback` restores the latest
+    await ssh.executeCommand(options.releases
+      ? `rm -rf ${AppRegistry.appDir(projectId)}`
+      : `rm -f ${AppRegistry.appDir(projectId)}/app.json ${ReleaseStore.projectDir(projectId)}/current`);
+
+    const summary = [`${containers.length} container(s)`, `${networks.length} network(s)`];
+    if (options.volumes) summary.push(`${volumes.length} volume(s)`);
+    if (options.images) summary.push(`${removedImages}/${images.length} image(s)`);
+    if (options.releases) summary.push('stored releases');
+    spinner.succeed(`Removed ${summary.join(', ')} of ${projectId}`);
+  } catch (error) {
+    spinner.fail(`Failed to destroy ${projectId}`);
+    throw error;
+  } finally {
+    await ssh.disconnect();
+  }
+
+  // Deploy settings stay so the project can be redeployed without answering the prompts again
+  if (Object.keys(environmentConfig).length > 0) {
+    const { release, deployedAt, ...settings } = environmentConfig;
+    Config.saveEnvironmentConfig(environment, { ...settings, destroyedAt: new Date().toISOString() });
+  }
+
+  if (!options.releases) {
+    console.log(chalk.gray(`Stored releases were kept; remove them with ${chalk.cyan('hackerrun destroy --releases')}`));
+  }
+}
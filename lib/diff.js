@@ -0,0 +1,78 @@
+import chalk from 'chalk';
+
+const CONTEXT_LINES = 3;
+
+// Line edits turning a into b, from a longest-common-subsequence table; files here are small enough for O(n*m)
+function lineEdits(a, b) {
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const edits = [];
+  let i = 0, j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      edits.push({ type: ' ', line: a[i], oldLine: i++, newLine: j++ });
+    } else if (i < a.length && (j === b.length || lcs[i + 1][j] >= lcs[i][j + 1])) {
+      edits.push({ type: '-', line: a[i], oldLine: i++, newLine: j });
+    } else {
+      edits.push({ type: '+', line: b[j], oldLine: i, newLine: j++ });
+    }
+  }
+  return edits;
+}
+
+const splitLines = (text) => text === '' ? [] : text.replace(/\n$/, '').split('\n');
+
+// Unified diff lines of two texts, or an empty list when they are the same
+export function unifiedDiff(oldText, newText, oldLabel, newLabel) {
+  const edits = lineEdits(splitLines(oldText), splitLines(newText));
+  const changed = edits.map((edit, index) => edit.type !== ' ' ? index : -1).filter(index => index !== -1);
+  if (changed.length === 0) {
+    return [];
+  }
+
+  // Group changes whose context would overlap into one hunk
+  const hunks = [];
+  changed.forEach(index => {
+    const last = hunks[hunks.length - 1];
+    if (last && index - last.end <= CONTEXT_LINES * 2) {
+      last.end = index;
+    } else {
+      hunks.push({ start: index, end: index });
+    }
+  });
+
+  const lines = [`--- ${oldLabel}`, `+++ ${newLabel}`];
+  hunks.forEach(hunk => {
+    const slice = edits.slice(Math.max(0, hunk.start - CONTEXT_LINES), hunk.end + CONTEXT_LINES + 1);
+    const oldCount = slice.filter(edit => edit.type !== '+').length;
+    const newCount = slice.filter(edit => edit.type !== '-').length;
+    // Like diff -u, an empty side of a hunk starts at the line before it
+    const oldStart = oldCount > 0 ? slice[0].oldLine + 1 : slice[0].oldLine;
+    const newStart = newCount > 0 ? slice[0].newLine + 1 : slice[0].newLine;
+
+    lines.push(`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`);
+    slice.forEach(edit => lines.push(`${edit.type}${edit.line}`));
+  });
+  return lines;
+}
+
+export function printDiff(lines) {
+  lines.forEach(line => {
+    if (line.startsWith('---') || line.startsWith('+++')) {
+      console.log(chalk.bold(line));
+    } else if (line.startsWith('@@')) {
+      console.log(chalk.cyan(line));
+    } else if (line.startsWith('+')) {
+      console.log(chalk.green(line));
+    } else if (line.startsWith('-')) {
+      console.log(chalk.red(line));
+    } else {
+      console.log(line);
+    }
+  });
+}
@@ -0,0 +1,32 @@
+import dns from 'dns/promises';
+
+export class DnsChecker {
+  static isSslipDomain(hostname) {
+    return hostname.endsWith('.sslip.io');
+  }
+
+  static async resolve(hostname) {
+    try {
+      return await dns.resolve4(hostname);
+    } catch (error) {
+      if (error.code === 'ENOTFOUND' || error.code === 'ENODATA') {
+        return [];
+      }
+      throw new Error(`Failed to resolve ${hostname}: ${error.message}`);
+    }
+  }
+
+  static async checkPointsTo(hostname, expectedIp) {
+    // sslip.io names embed the IP, so they always resolve to it
+    if (this.isSslipDomain(hostname)) {
+      return { hostname, ok: true, addresses: [expectedIp] };
+    }
+
+    const addresses = await this.resolve(hostname);
+    return {
+      hostname,
+      ok: addresses.includes(expectedIp),
+      addresses
+    };
+  }
+}
@@ -1,9 +1,15 @@
 import { exec } from 'child_process';
 import { promisify } from 'util';
+import { SSHClient } from './ssh.js';
+import { SSHConfig } from './ssh-config.js';
 
 const execAsync = promisify(exec);
 
 export class DockerContext {
+  static contextNameFor(host) {
+    return `hackerrun-${host.replace(/\./g, '-')}`;
+  }
+
   static async getCurrentContext() {
     try {
       const { stdout } = await execAsync('docker context show');
@@ -13,7 +19,13 @@ export class DockerContext {
     }
   }
 
-  static async createContext(name, host, sshKey = null) {
+  // Docker's SSH transport runs the system ssh client, so ~/.ssh/config and ssh-agent apply to it as well
+  static sshUrl(host, { user = 'root', port } = {}) {
+    const portSuffix = port && parseInt(port) !== 22 ? `:${port}` : '';
+    return `ssh://${user}@${host}${portSuffix}`;
+  }
+
+  static async createContext(name, host, sshOptions = {}) {
     try {
       // Remove existing context if it exists
       try {
@@ -23,8 +35,7 @@ export class DockerContext {
       }
 
       // Create new context
-      const sshKeyOption = sshKey ? ` --ssh-key ${sshKey}` : '';
-      const command = `docker context create ${name} --docker "host=ssh://root@${host}"${sshKeyOption}`;
+      const command = `docker context create ${name} --docker "host=${this.sshUrl(host, sshOptions)}"`;
       
       await execAsync(command);
       return true;
@@ -33,6 +44,29 @@ export class DockerContext {
     }
   }
 
+  static async createServerContext(server) {
+    // An ssh config alias keeps its own HostName/IdentityFile; a bare IP gets the resolved user and port,
+    // and with --identity-file a Host entry of its own that carries the key
+    const contextName = this.contextNameFor(server.ip);
+    const settings = SSHClient.resolveSettings(server.sshHost || server.ip, SSHClient.optionsForServer(server));
+    let host = server.sshHost || server.ip;
+    if (server.identityFile && !server.sshHost) {
+      SSHConfig.writeHost(contextName, {
+        hostName: server.ip,
+        user: settings.username,
+        port: settings.port,
+        identityFile: server.identityFile
+      });
+      host = contextName;
+    } else {
+      SSHConfig.removeHost(contextName);
+    }
+    await this.createContext(contextName, host, {
+      user: settings.username,
+      port: settings.port
+    });
+  }
+
   static async useContext(contextName) {
     try {
       await execAsync(`docker context use ${contextName}`);
@@ -68,4 +102,19 @@ export class DockerContext {
       return false;
     }
   }
-}
\ No newline at end of file
+
+  // Runs callback with contextName as the current context and always switches back afterwards
+  static async withContext(contextName, callback) {
+    if (!(await this.contextExists(contextName))) {
+      throw new Error(`Docker context '${contextName}' not found. Run 'hackerrun init' first.`);
+    }
+
+    const originalContext = await this.getCurrentContext();
+    await this.useContext(contextName);
+    try {
+      return await callback();
+    } finally {
+      await this.useContext(originalContext);
+    }
+  }
+}
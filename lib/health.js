@@ -0,0 +1,138 @@
+import https from 'https';
+import tls from 'tls';
+import { exec } from 'child_process';
+import { promisify } from 'util';
+import { Rollout } from './rollout.js';
+
+const execAsync = promisify(exec);
+
+const POLL_INTERVAL = 5000;
+const REQUEST_TIMEOUT = 10000;
+// Time between the two container samples used to spot restart loops
+const RESTART_WINDOW = 5000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+export class HealthChecker {
+  static request(url) {
+    return new Promise((resolve, reject) => {
+      // Certificate errors are inspected below instead of failing the request
+      const req = https.get(url, { rejectUnauthorized: false, timeout: REQUEST_TIMEOUT }, (res) => {
+        const certificate = res.socket.getPeerCertificate();
+        resolve({
+          status: res.statusCode,
+          authorized: res.socket.authorized,
+          issuer: certificate && certificate.issuer ? (certificate.issuer.O || certificate.issuer.CN) : null,
+          validTo: certificate ? certificate.valid_to : null
+        });
+        res.resume();
+      });
+
+      req.on('timeout', () => req.destroy(new Error(`timed out after ${REQUEST_TIMEOUT / 1000}s`)));
+      req.on('error', reject);
+    });
+  }
+
+  static certificate(hostname) {
+    return new Promise((resolve, reject) => {
+      const socket = tls.connect({ host: hostname, port: 443, servername: hostname, rejectUnauthorized: false }, () => {
+        const certificate = socket.getPeerCertificate();
+        socket.end();
+        resolve({
+          issuer: certificate.issuer ? (certificate.issuer.O || certificate.issuer.CN) : null,
+          validTo: certificate.valid_to,
+          daysLeft: Math.floor((new Date(certificate.valid_to) - Date.now()) / 86400000),
+          authorized: socket.authorized
+        });
+      });
+
+      socket.setTimeout(REQUEST_TIMEOUT, () => socket.destroy(new Error(`timed out after ${REQUEST_TIMEOUT / 1000}s`)));
+      socket.on('error', reject);
+    });
+  }
+
+  static isLetsEncrypt(issuer) {
+    return Boolean(issuer) && /let's encrypt/i.test(issuer);
+  }
+
+  // Polls until the endpoint answers 2xx over a real Let's Encrypt certificate; guarded endpoints
+  // (behind basic auth, an IP allowlist or a redirect) may also answer 3xx, 401 or 403
+  static async waitForEndpoint(url, { timeoutMs, guarded = false, onProgress = () => {} }) {
+    const deadline = Date.now() + timeoutMs;
+    let lastProblem = 'no response yet';
+
+    while (Date.now() < deadline) {
+      try {
+        const result = await this.request(url);
+
+        if (!this.isLetsEncrypt(result.issuer)) {
+          // Traefik serves its self-signed default certificate until Let's Encrypt has issued one
+          lastProblem = `certificate issued by '${result.issuer || 'unknown'}' instead of Let's Encrypt`;
+        } else if (!this.isHealthyStatus(result.status, guarded)) {
+          lastProblem = `HTTP ${result.status}`;
+        } else {
+          return result;
+        }
+      } catch (error) {
+        lastProblem = error.message;
+      }
+
+      onProgress(`${url}: ${lastProblem}`);
+      await sleep(POLL_INTERVAL);
+    }
+
+    throw new Error(`${url} did not become healthy within ${Math.round(timeoutMs / 1000)}s (${lastProblem})`);
+  }
+
+  static isHealthyStatus(status, guarded) {
+    if (status >= 200 && status < 300) {
+      return true;
+    }
+    return guarded && ((status >= 300 && status < 400) || status === 401 || status === 403);
+  }
+
+  // Must run while the server's Docker context is active
+  static async checkContainers(composeCommand, services) {
+    const ids = {};
+    for (const serviceName of services) {
+      ids[serviceName] = await Rollout.containerIds(composeCommand, serviceName);
+      if (ids[serviceName].length === 0) {
+        throw new Error(`Service '${serviceName}' has no containers`);
+      }
+    }
+
+    const allIds = Object.values(ids).flat();
+    const before = await Rollout.inspect(allIds);
+    await sleep(RESTART_WINDOW);
+    const after = await Rollout.inspect(allIds);
+
+    for (const state of after) {
+      const serviceName = Object.keys(ids).find(name => ids[name].includes(state.id));
+      const previous = before.find(candidate => candidate.id === state.id);
+
+      if (state.status === 'restarting' || (previous && state.restartCount > previous.restartCount)) {
+        throw new Error(`Service '${serviceName}' is restart-looping (${state.restartCount} restarts)`);
+      }
+      if (state.status !== 'running') {
+        throw new Error(`Service '${serviceName}' is ${state.status}`);
+      }
+      if (state.health === 'unhealthy') {
+        throw new Error(`Service '${serviceName}' is unhealthy`);
+      }
+    }
+
+    return after;
+  }
+
+  // Must run while the server's Docker context is active
+  static async recentLogs(composeCommand, services, tail = 50) {
+    try {
+      const { stdout, stderr } = await execAsync(`${composeCommand} logs --no-color --tail ${tail} ${services.join(' ')}`, {
+        maxBuffer: 10 * 1024 * 1024
+      });
+      return stdout + stderr;
+    } catch (error) {
+      return `Could not fetch logs: ${error.message}`;
+    }
+  }
+}
@@ -0,0 +1,171 @@
+import fs from 'fs';
+import path from 'path';
+
+// Skipped in .gitignore mode unless an ignore file re-includes them with a negation; a .dockerignore
+// is applied alone, as docker build does
+const DEFAULT_RULES = ['.git', 'node_modules', '*.log', '.DS_Store', '/.hackerrun/'];
+
+const escapeRegex = (char) => char.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+
+// Translates a glob to a regex body: * and ? stay within one path segment, ** spans segments
+function globToRegex(glob) {
+  let regex = '';
+
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+
+    if (char === '*' && glob[i + 1] === '*') {
+      if (glob[i + 2] === '/') {
+        regex += '(?:.*/)?';
+        i += 2;
+      } else {
+        regex += '.*';
+        i += 1;
+      }
+    } else if (char === '*') {
+      regex += '[^/]*';
+    } else if (char === '?') {
+      regex += '[^/]';
+    } else if (char === '[') {
+      const end = glob.indexOf(']', i + 2);
+      if (end === -1) {
+        regex += '\\[';
+      } else {
+        const range = glob.slice(i + 1, end).replace(/\\/g, '\\\\');
+        regex += `[${range.startsWith('!') ? `^${range.slice(1)}` : range}]`;
+        i = end;
+      }
+    } else if (char === '\\' && i + 1 < glob.length) {
+      regex += escapeRegex(glob[++i]);
+    } else {
+      regex += escapeRegex(char);
+    }
+  }
+
+  return regex;
+}
+
+// .gitignore rules: a pattern without a slash matches at any depth below the file's directory,
+// a trailing slash only matches directories
+function parseGitignore(content, base = '') {
+  return content.split(/\r?\n/).flatMap(line => {
+    let pattern = line.replace(/(?<!\\)\s+$/, '');
+    if (pattern === '' || pattern.startsWith('#')) return [];
+
+    const negate = pattern.startsWith('!');
+    if (negate) pattern = pattern.slice(1);
+    if (pattern.startsWith('\\#') || pattern.startsWith('\\!')) pattern = pattern.slice(1);
+
+    const dirOnly = pattern.endsWith('/');
+    if (dirOnly) pattern = pattern.slice(0, -1);
+
+    const anchored = pattern.includes('/');
+    if (pattern.startsWith('/')) pattern = pattern.slice(1);
+    if (pattern === '') return [];
+
+    const regex = new RegExp(`^${anchored ? '' : '(?:.*/)?'}${globToRegex(pattern)}$`);
+    return [{ regex, negate, dirOnly, base, pattern }];
+  });
+}
+
+// .dockerignore rules: every pattern is relative to the context root and also matches everything below it
+function parseDockerignore(content) {
+  return content.split(/\r?\n/).flatMap(line => {
+    let pattern = line.trim();
+    if (pattern === '' || pattern.startsWith('#')) return [];
+
+    const negate = pattern.startsWith('!');
+    if (negate) pattern = pattern.slice(1).trim();
+
+    pattern = path.posix.normalize(pattern).replace(/^\/+/, '').replace(/\/+$/, '');
+    if (pattern === '' || pattern === '.') return [];
+
+    const regex = new RegExp(`^${globToRegex(pattern)}(?:/.*)?$`);
+    return [{ regex, negate, dirOnly: false, base: '', pattern }];
+  });
+}
+
+export class IgnoreMatcher {
+  // Uses exactly the rules of a .dockerignore file, otherwise .gitignore semantics on top of the default
+  // rules, including the .gitignore files of subdirectories
+  constructor(root, ignoreFilePath = null) {
+    this.root = root;
+    this.docker = Boolean(ignoreFilePath) && path.basename(ignoreFilePath) === '.dockerignore';
+    this.nested = new Map();
+
+    this.rules = this.docker ? [] : parseGitignore(DEFAULT_RULES.join('\n'));
+    if (ignoreFilePath && fs.existsSync(ignoreFilePath)) {
+      const content = fs.readFileSync(ignoreFilePath, 'utf8');
+      this.rules.push(...(this.docker ? parseDockerignore(content) : parseGitignore(content)));
+    }
+  }
+
+  // Rules of the .gitignore in a subdirectory, relative to that directory
+  nestedRules(dir) {
+    if (this.docker || dir === '') return [];
+    if (!this.nested.has(dir)) {
+      const file = path.join(this.root, dir, '.gitignore');
+      this.nested.set(dir, fs.existsSync(file) ? parseGitignore(fs.readFileSync(file, 'utf8'), dir) : []);
+    }
+    return this.nested.get(dir);
+  }
+
+  // Root rules first, then those of each directory down to the path's own; the last match wins
+  rulesFor(relativePath) {
+    const segments = relativePath.split('/').slice(0, -1);
+    const dirs = segments.map((_, index) => segments.slice(0, index + 1).join('/'));
+    return [...this.rules, ...dirs.flatMap(dir => this.nestedRules(dir))];
+  }
+
+  ignores(relativePath, isDirectory) {
+    let ignored = false;
+
+    for (const rule of this.rulesFor(relativePath)) {
+      if (rule.dirOnly && !isDirectory) continue;
+      const target = rule.base ? relativePath.slice(rule.base.length + 1) : relativePath;
+      if (rule.regex.test(target)) {
+        ignored = !rule.negate;
+      }
+    }
+
+    return ignored;
+  }
+
+  // .dockerignore can re-include files inside an ignored directory, so such directories are still walked
+  mayReinclude(relativeDir) {
+    return this.docker && this.rules.some(rule =>
+      rule.negate && (rule.pattern.startsWith(`${relativeDir}/`) || rule.pattern.startsWith('*'))
+    );
+  }
+
+  // Paths relative to root that an archive of root contains, directories before their contents;
+  // alwaysInclude lists paths kept even when ignored, like the Dockerfile docker always sends, so the
+  // ignored directories leading to them are walked too
+  list(alwaysInclude = []) {
+    const entries = [];
+    const leadsToIncluded = (relativeDir) => alwaysInclude.some(file => file.startsWith(`${relativeDir}/`));
+
+    const walk = (relativeDir, insideIgnored) => {
+      const names = fs.readdirSync(path.join(this.root, relativeDir)).sort();
+
+      for (const name of names) {
+        const relativePath = relativeDir ? `${relativeDir}/${name}` : name;
+        const stat = fs.lstatSync(path.join(this.root, relativePath));
+        const isDirectory = stat.isDirectory();
+        // git never re-includes anything below an excluded directory; .dockerignore rules match below it themselves
+        const excluded = (insideIgnored && !this.docker) || this.ignores(relativePath, isDirectory);
+        const ignored = excluded && !alwaysInclude.includes(relativePath);
+
+        if (!ignored) {
+          entries.push(relativePath);
+        }
+        if (isDirectory && (!ignored || this.mayReinclude(relativePath) || leadsToIncluded(relativePath))) {
+          walk(relativePath, ignored);
+        }
+      }
+    };
+
+    walk('', false);
+    return entries;
+  }
+}
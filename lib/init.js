@@ -4,6 +4,8 @@ import ora from 'ora';
 import { SSHClient } from './ssh.js';
 import { Config } from './config.js';
 import { DockerContext } from './docker-context.js';
+import { TraefikConfig } from './traefik.js';
+import { validateServerName, resolveHost, sshSettingsFromOptions } from './server.js';
 
 const DOCKER_INSTALL_SCRIPT = `
 #!/bin/bash
@@ -33,7 +35,7 @@ systemctl enable docker
 
 echo "Creating docker group and adding user..."
 groupadd -f docker
-usermod -aG docker \$USER
+usermod -aG docker \${SUDO_USER:-\$USER}
 
 echo "Testing Docker installation..."
 docker --version
@@ -42,18 +44,35 @@ docker compose version
 echo "Docker installation completed successfully!"
 `;
 
-export async function initCommand() {
+export async function initCommand(options = {}) {
   console.log(chalk.blue.bold('🚀 HackerRun Initialization'));
   console.log(chalk.gray('Setting up your VPS for Docker deployments...\n'));
 
+  // Pick the named server to set up
+  let serverName = options.server;
+  if (!serverName) {
+    const servers = Config.getServers();
+    ({ serverName } = await inquirer.prompt([
+      {
+        type: 'input',
+        name: 'serverName',
+        message: 'Enter a name for this server:',
+        default: Object.keys(servers).length === 0 ? 'default' : undefined,
+        validate: validateServerName
+      }
+    ]));
+  } else if (validateServerName(serverName) !== true) {
+    throw new Error(validateServerName(serverName));
+  }
+
   // Check if already initialized
-  const existingVpsIp = Config.getVpsIp();
-  if (existingVpsIp) {
+  const existingServer = Config.getServer(serverName);
+  if (existingServer && existingServer.initialized) {
     const { reinitialize } = await inquirer.prompt([
       {
         type: 'confirm',
         name: 'reinitialize',
-        message: `VPS already configured (${existingVpsIp}). Do you want to reconfigure?`,
+        message: `Server '${serverName}' already configured (${existingServer.ip}). Do you want to reconfigure?`,
         default: false
       }
     ]);
@@ -64,25 +83,39 @@ export async function initCommand() {
     }
   }
 
-  // Get VPS IP address
-  const { vpsIp } = await inquirer.prompt([
-    {
-      type: 'input',
-      name: 'vpsIp',
-      message: 'Enter your VPS IP address:',
-      validate: (input) => {
-        const ipRegex = /^(?:[0-9]{1,3}\.){3}[0-9]{1,3}$/;
-        if (!ipRegex.test(input)) {
-          return 'Please enter a valid IP address';
+  // Get VPS address and SSH settings (servers registered with 'hackerrun server add' already have them)
+  let server = existingServer && !existingServer.initialized ? { ...existingServer } : undefined;
+  if (!server) {
+    const { host } = await inquirer.prompt([
+      {
+        type: 'input',
+        name: 'host',
+        message: 'Enter your VPS IP address (or a ~/.ssh/config host alias):',
+        default: existingServer?.sshHost ?? existingServer?.ip,
+        validate: (input) => {
+          try {
+            resolveHost(input);
+            return true;
+          } catch (error) {
+            return error.message;
+          }
         }
-        return true;
       }
-    }
-  ]);
+    ]);
+    server = { ...existingServer, ...resolveHost(host) };
+    Object.assign(server, await promptSshSettings(server, options));
+  }
+  Object.assign(server, sshSettingsFromOptions(options));
+  const vpsIp = server.ip;
+
+  // Certificate settings apply to every project on the server, so they are chosen here
+  const { traefik, dnsEnv } = TraefikConfig.fromOptions(server.traefik, options);
+  TraefikConfig.validate(TraefikConfig.settings({ traefik }));
+  server.traefik = traefik;
 
   console.log(chalk.yellow('\\n📡 Testing SSH connection...'));
   
-  const ssh = new SSHClient(vpsIp);
+  const ssh = SSHClient.forServer(server);
   
   try {
     await ssh.connect();
@@ -93,6 +126,8 @@ export async function initCommand() {
     console.log('- Ensure your SSH key is added to the VPS (~/.ssh/authorized_keys)');
     console.log('- Check if the VPS is accessible and running');
     console.log('- Verify the IP address is correct');
+    console.log('- Non-root users need passwordless sudo on the VPS');
+    console.log('- Passphrase-protected keys must be loaded in ssh-agent or passed via HACKERRUN_SSH_PASSPHRASE');
     process.exit(1);
   }
 
@@ -139,81 +174,9 @@ export async function initCommand() {
     await ssh.executeCommand('touch /opt/hackerrun/traefik/acme.json');
     await ssh.executeCommand('chmod 600 /opt/hackerrun/traefik/acme.json');
     
-    // Create placeholder traefik.yml (will be updated during deploy with real email)
-    const traefikYml = `api:
-  dashboard: true
-  insecure: false
-
-entryPoints:
-  web:
-    address: ":80"
-    http:
-      redirections:
-        entryPoint:
-          to: websecure
-          scheme: https
-  websecure:
-    address: ":443"
-
-providers:
-  docker:
-    endpoint: "unix:///var/run/docker.sock"
-    exposedByDefault: false
-    network: traefik
-
-certificatesResolvers:
-  letsencrypt:
-    acme:
-      email: admin@example.com
-      storage: /etc/traefik/acme.json
-      httpChallenge:
-        entryPoint: web
-
-log:
-  level: INFO
-
-accessLog: {}`;
-
-    await ssh.executeCommand(`cat > /opt/hackerrun/traefik/traefik.yml << 'EOF'
-${traefikYml}
-EOF`);
-    
-    // Create Traefik compose file
-    const traefikCompose = `
-version: '3.8'
-
-services:
-  traefik:
-    image: traefik:v3.0
-    container_name: traefik
-    restart: unless-stopped
-    ports:
-      - "80:80"
-      - "443:443"
-    volumes:
-      - /var/run/docker.sock:/var/run/docker.sock:ro
-      - /opt/hackerrun/traefik:/etc/traefik
-    command:
-      - --configfile=/etc/traefik/traefik.yml
-    labels:
-      - traefik.enable=true
-      - traefik.http.routers.traefik.rule=Host(\`traefik.\${vpsIp}.sslip.io\`)
-      - traefik.http.routers.traefik.entrypoints=websecure
-      - traefik.http.routers.traefik.tls.certresolver=letsencrypt
-      - traefik.http.services.traefik.loadbalancer.server.port=8080
-    networks:
-      - traefik
-
-networks:
-  traefik:
-    name: traefik
-    external: false
-`;
-
-    // Upload Traefik compose file
-    await ssh.executeCommand(`cat > /opt/hackerrun/docker-compose.traefik.yml << 'EOF'${traefikCompose}EOF`);
-    
-    // Start Traefik service
+    // Render traefik.yml from the server's saved settings (a deploy sets the real email), then make
+    // sure Traefik runs even when the files were already up to date
+    await TraefikConfig.apply(ssh, TraefikConfig.settings(server), { dnsEnv });
     await ssh.executeCommand('cd /opt/hackerrun && docker compose -f docker-compose.traefik.yml up -d');
     
     setupSpinner.succeed('Traefik service started');
@@ -227,7 +190,6 @@ networks:
 
   // Create Docker context
   const contextSpinner = ora('Creating Docker context for VPS...').start();
-  const contextName = `hackerrun-${vpsIp.replace(/\./g, '-')}`;
   let originalContext;
   
   try {
@@ -235,7 +197,7 @@ networks:
     originalContext = await DockerContext.getCurrentContext();
     
     // Create context for the VPS
-    await DockerContext.createContext(contextName, vpsIp);
+    await DockerContext.createServerContext(server);
     
     // Switch back to original context
     await DockerContext.useContext(originalContext);
@@ -248,9 +210,51 @@ networks:
   }
 
   // Save configuration
-  Config.setVpsIp(vpsIp);
+  Config.saveServer(serverName, {
+    ...server,
+    initialized: true
+  });
   
   console.log(chalk.green.bold('\n🎉 Initialization completed successfully!'));
-  console.log(chalk.gray('Your VPS is now ready for Docker deployments.'));
+  console.log(chalk.gray(`Server '${serverName}' is now ready for Docker deployments.`));
   console.log(chalk.gray('\nNext step: Run'), chalk.cyan('hackerrun deploy'), chalk.gray('in a directory with docker-compose.yml'));
-}
\ No newline at end of file
+}
+
+async function promptSshSettings(server, options) {
+  // Defaults come from ~/.ssh/config for the host, falling back to root on port 22
+  const defaults = SSHClient.resolveSettings(server.sshHost || server.ip);
+  const answers = await inquirer.prompt([
+    {
+      type: 'input',
+      name: 'user',
+      message: 'SSH user:',
+      default: server.user ?? defaults.username,
+      when: () => !options.user
+    },
+    {
+      type: 'input',
+      name: 'port',
+      message: 'SSH port:',
+      default: String(server.port ?? defaults.port),
+      when: () => !options.sshPort,
+      validate: (input) => {
+        const port = parseInt(input);
+        return (!isNaN(port) && port >= 1 && port <= 65535) || 'Please enter a valid port number (1-65535)';
+      }
+    },
+    {
+      type: 'input',
+      name: 'identityFile',
+      message: 'SSH private key path (leave empty for ~/.ssh/config, default keys or ssh-agent):',
+      default: server.identityFile ?? '',
+      when: () => !options.identityFile
+    }
+  ]);
+
+  // Only keep values that differ from what ssh would pick by itself
+  const settings = {};
+  if (answers.user && answers.user !== defaults.username) settings.user = answers.user;
+  if (answers.port && parseInt(answers.port) !== defaults.port) settings.port = parseInt(answers.port);
+  if (answers.identityFile) settings.identityFile = answers.identityFile;
+  return settings;
+}
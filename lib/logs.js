@@ -0,0 +1,75 @@
+import { Config } from './config.js';
+import { ComposeManager } from './compose.js';
+import { SSHClient } from './ssh.js';
+
+function validateLogOptions(service, options) {
+  if (service !== undefined && !/^[a-zA-Z0-9._-]+$/.test(service)) {
+    throw new Error(`Invalid service name '${service}'`);
+  }
+  if (options.tail !== undefined && options.tail !== 'all' && !/^\d+$/.test(options.tail)) {
+    throw new Error(`Invalid --tail '${options.tail}' (expected a number or 'all')`);
+  }
+  if (options.since !== undefined && !/^[0-9A-Za-z:.+-]+$/.test(options.since)) {
+    throw new Error(`Invalid --since '${options.since}' (e.g. 10m, 2h, 2024-01-01T00:00:00)`);
+  }
+}
+
+function logFlags(options) {
+  const flags = [];
+  if (options.follow) flags.push('--follow');
+  if (options.since) flags.push(`--since ${options.since}`);
+  if (options.tail) flags.push(`--tail ${options.tail}`);
+  if (options.timestamps) flags.push('--timestamps');
+  return flags.join(' ');
+}
+
+// Traefik's access log has no project column, so match the project's routers and domains instead
+function accessLogFilter(projectId, routes, service) {
+  const selected = routes.filter(route => service === undefined || route.service === service);
+  if (selected.length === 0) {
+    throw new Error(service ? `Service '${service}' is not exposed through Traefik` : 'No exposed services recorded in .hackerrun.json');
+  }
+
+  const patterns = selected.flatMap(route => [
+    `"${ComposeManager.routerName(projectId, route.service)}@docker"`,
+    route.domain,
+    ...route.aliases
+  ]);
+  return patterns.map(pattern => `-e '${pattern}'`).join(' ');
+}
+
+export async function logsCommand(service, options = {}) {
+  validateLogOptions(service, options);
+
+  const { environmentConfig, server, projectId } = Config.resolveTarget(options);
+
+  let command;
+  if (options.access) {
+    const filter = accessLogFilter(projectId, environmentConfig.routes ?? [], service);
+    command = `docker logs ${logFlags(options)} traefik 2>&1 | grep --line-buffered -F ${filter}`;
+  } else {
+    command = `docker compose -p ${projectId} logs ${logFlags(options)} ${service ?? ''}`;
+  }
+
+  const ssh = SSHClient.forServer(server);
+  await ssh.connect();
+
+  let interrupted = false;
+  const onInterrupt = () => {
+    interrupted = true;
+    ssh.interrupt();
+  };
+  process.on('SIGINT', onInterrupt);
+
+  try {
+    // A pty makes the remote command exit when we disconnect during --follow
+    const code = await ssh.streamCommand(command, { pty: Boolean(options.follow) });
+    // grep exits with 1 when nothing matched, which is not an error here
+    if (code !== 0 && !interrupted && !(options.access && code === 1)) {
+      throw new Error(`Remote command exited with code ${code}`);
+    }
+  } finally {
+    process.off('SIGINT', onInterrupt);
+    await ssh.disconnect();
+  }
+}
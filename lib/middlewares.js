@@ -0,0 +1,160 @@
+// Traefik middlewares for an exposed service, written as short specs that work the same as --middleware
+// flags and in the routes of .hackerrun.json:
+//   basic-auth:<user>:<htpasswd hash>   allow:<ip|cidr>[,...]      rate-limit:<average>[/<burst>]
+//   compress                            hsts[:<max-age seconds>]   csp:<policy>
+//   redirect-to-apex                    redirect-to-www            strip-prefix:<path>[,...]
+const TYPES = ['basic-auth', 'allow', 'rate-limit', 'compress', 'hsts', 'csp', 'redirect-to-apex', 'redirect-to-www', 'strip-prefix'];
+// Order in which requests pass through them: filter and throttle first, redirect before asking for
+// credentials (so they are asked for once, on the final host), then rewrite and decorate the response
+const ORDER = ['allow', 'rate-limit', 'redirect', 'basic-auth', 'strip-prefix', 'headers', 'compress'];
+const DEFAULT_HSTS_SECONDS = 31536000;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+// Compose interpolates label values, so literal $ signs (bcrypt hashes, regex groups) are doubled
+const escapeCompose = (value) => String(value).replace(/\$/g, '$$$$');
+
+export class Middlewares {
+  static parse(spec) {
+    const separator = spec.indexOf(':');
+    const type = separator === -1 ? spec : spec.slice(0, separator);
+    const value = separator === -1 ? '' : spec.slice(separator + 1);
+
+    if (!TYPES.includes(type)) {
+      throw new Error(`Unknown middleware '${type}' (expected ${TYPES.join(', ')})`);
+    }
+    const needsValue = ['basic-auth', 'allow', 'rate-limit', 'csp', 'strip-prefix'].includes(type);
+    if (needsValue && value === '') {
+      throw new Error(`Middleware '${type}' needs a value (${type}:...)`);
+    }
+    if (!needsValue && value !== '' && type !== 'hsts') {
+      throw new Error(`Middleware '${type}' takes no value`);
+    }
+
+    switch (type) {
+      case 'basic-auth':
+        // Plain passwords would end up in .hackerrun.json and the compose file
+        if (!/^[^:\s]+:(\$2[aby]\$|\$apr1\$|\{SHA\})\S+$/.test(value)) {
+          throw new Error('basic-auth needs user:hash with a bcrypt, apr1 or SHA hash (create one with htpasswd -nbB user password)');
+        }
+        return { type, user: value };
+      case 'allow':
+        value.split(',').forEach(range => {
+          if (!/^[0-9a-f.:]+(\/\d{1,3})?$/i.test(range)) {
+            throw new Error(`Invalid IP or CIDR range '${range}' in allow`);
+          }
+        });
+        return { type, ranges: value.split(',') };
+      case 'rate-limit': {
+        const match = value.match(/^(\d+)(?:\/(\d+))?$/);
+        if (!match || parseInt(match[1]) < 1) {
+          throw new Error(`Invalid rate-limit '${value}' (expected requests per second, optionally /burst, e.g. 100/50)`);
+        }
+        return { type, average: parseInt(match[1]), burst: match[2] !== undefined ? parseInt(match[2]) : null };
+      }
+      case 'hsts':
+        if (value !== '' && !/^\d+$/.test(value)) {
+          throw new Error(`Invalid hsts max-age '${value}' (expected seconds)`);
+        }
+        return { type, seconds: value === '' ? DEFAULT_HSTS_SECONDS : parseInt(value) };
+      case 'csp':
+        return { type, policy: value };
+      case 'strip-prefix':
+        value.split(',').forEach(prefix => {
+          if (!prefix.startsWith('/')) {
+            throw new Error(`Invalid strip-prefix '${prefix}' (must start with /)`);
+          }
+        });
+        return { type, prefixes: value.split(',') };
+      default:
+        return { type };
+    }
+  }
+
+  // Parses every spec and checks those that depend on the route's hosts
+  static validate(specs, hosts) {
+    const middlewares = specs.map(spec => this.parse(spec));
+    const types = middlewares.map(middleware => middleware.type);
+
+    if (types.includes('redirect-to-apex') && types.includes('redirect-to-www')) {
+      throw new Error('redirect-to-apex and redirect-to-www exclude each other');
+    }
+    if (types.includes('redirect-to-www') && this.apexHosts(hosts).length === 0) {
+      throw new Error('redirect-to-www needs both example.com and www.example.com among the service\'s domains');
+    }
+    if (types.includes('redirect-to-apex') && !hosts.some(host => host.startsWith('www.'))) {
+      throw new Error('redirect-to-apex needs a www. domain among the service\'s domains');
+    }
+    return middlewares;
+  }
+
+  // Whether a middleware may answer in the service's place (credentials, blocked address, redirect),
+  // so a working route doesn't necessarily return 2xx
+  static answersForService(specs) {
+    const guarding = ['basic-auth', 'allow', 'redirect-to-apex', 'redirect-to-www'];
+    return specs.some(spec => guarding.includes(this.parse(spec).type));
+  }
+
+  // Hosts routed together with their www. variant
+  static apexHosts(hosts) {
+    return hosts.filter(host => !host.startsWith('www.') && hosts.includes(`www.${host}`));
+  }
+
+  // Middleware labels named after the router, which carries the project id, so projects sharing Traefik
+  // never collide; returns the labels and the names for the router's middlewares label, in order
+  static labels(routerName, specs, hosts) {
+    const middlewares = this.validate(specs, hosts);
+    const of = (type) => middlewares.filter(middleware => middleware.type === type);
+    const labels = {};
+    const names = {};
+    const define = (kind, settings) => {
+      const name = `${routerName}-${kind}`;
+      names[kind] = name;
+      Object.entries(settings).forEach(([key, value]) => {
+        labels[`traefik.http.middlewares.${name}.${key}`] = escapeCompose(value);
+      });
+    };
+
+    if (of('allow').length > 0) {
+      define('allow', { 'ipallowlist.sourcerange': of('allow').flatMap(middleware => middleware.ranges).join(',') });
+    }
+    if (of('basic-auth').length > 0) {
+      define('basic-auth', { 'basicauth.users': of('basic-auth').map(middleware => middleware.user).join(',') });
+    }
+    if (of('rate-limit').length > 0) {
+      const { average, burst } = of('rate-limit').at(-1);
+      define('rate-limit', { 'ratelimit.average': average, ...(burst !== null ? { 'ratelimit.burst': burst } : {}) });
+    }
+    if (of('redirect-to-apex').length > 0) {
+      define('redirect', {
+        'redirectregex.regex': '^https?://www\\.(.+)',
+        'redirectregex.replacement': 'https://${1}',
+        'redirectregex.permanent': 'true'
+      });
+    }
+    if (of('redirect-to-www').length > 0) {
+      const apex = this.apexHosts(hosts).map(escapeRegex).join('|');
+      define('redirect', {
+        'redirectregex.regex': `^https?://(${apex})(/.*)?$`,
+        'redirectregex.replacement': 'https://www.${1}${2}',
+        'redirectregex.permanent': 'true'
+      });
+    }
+    if (of('strip-prefix').length > 0) {
+      define('strip-prefix', { 'stripprefix.prefixes': of('strip-prefix').flatMap(middleware => middleware.prefixes).join(',') });
+    }
+    if (of('hsts').length > 0 || of('csp').length > 0) {
+      define('headers', {
+        ...(of('hsts').length > 0 ? {
+          'headers.stsSeconds': of('hsts').at(-1).seconds,
+          'headers.stsIncludeSubdomains': 'true'
+        } : {}),
+        ...(of('csp').length > 0 ? { 'headers.contentSecurityPolicy': of('csp').at(-1).policy } : {})
+      });
+    }
+    if (of('compress').length > 0) {
+      define('compress', { 'compress': 'true' });
+    }
+
+    return { labels, names: ORDER.filter(kind => names[kind]).map(kind => names[kind]) };
+  }
+}
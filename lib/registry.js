@@ -0,0 +1,107 @@
+import crypto from 'crypto';
+import { exec } from 'child_process';
+import { Config } from './config.js';
+import { HealthChecker } from './health.js';
+import { REGISTRY_PROJECT } from './apps.js';
+import { TraefikConfig } from './traefik.js';
+
+const REGISTRY_DIR = '/opt/hackerrun/registry';
+const REGISTRY_USER = 'hackerrun';
+const CERTIFICATE_TIMEOUT = 120000;
+const POLL_INTERVAL = 5000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Like execAsync, but feeds input to the command's stdin so passwords stay out of the process list
+function execWithInput(command, input) {
+  return new Promise((resolve, reject) => {
+    const child = exec(command, (error, stdout, stderr) => {
+      if (error) {
+        reject(new Error((stderr || error.message).trim()));
+      } else {
+        resolve(stdout);
+      }
+    });
+    child.stdin.end(input);
+  });
+}
+
+// A private registry hackerrun runs on the VPS behind Traefik, for deploys that build locally and push
+export class Registry {
+  static hostFor(server) {
+    return `hackerrun-registry.${server.ip}.sslip.io`;
+  }
+
+  static composeFile(host) {
+    return `services:
+  registry:
+    image: registry:2
+    container_name: ${REGISTRY_PROJECT}
+    restart: unless-stopped
+    environment:
+      REGISTRY_AUTH: htpasswd
+      REGISTRY_AUTH_HTPASSWD_REALM: hackerrun
+      REGISTRY_AUTH_HTPASSWD_PATH: /auth/htpasswd
+    volumes:
+      - ${REGISTRY_DIR}/data:/var/lib/registry
+      - ${REGISTRY_DIR}/htpasswd:/auth/htpasswd:ro
+    labels:
+      - traefik.enable=true
+      - traefik.http.routers.${REGISTRY_PROJECT}.rule=Host(\`${host}\`)
+      - traefik.http.routers.${REGISTRY_PROJECT}.entrypoints=websecure
+      - traefik.http.routers.${REGISTRY_PROJECT}.tls.certresolver=letsencrypt
+      - traefik.http.services.${REGISTRY_PROJECT}.loadbalancer.server.port=5000
+    networks:
+      - traefik
+
+networks:
+  traefik:
+    external: true
+`;
+  }
+
+  // Starts the registry if it is not running and returns its credentials, which are kept in the global config
+  static async ensure(ssh, server) {
+    const credentials = server.registry ?? {
+      host: this.hostFor(server),
+      username: REGISTRY_USER,
+      password: crypto.randomBytes(24).toString('hex')
+    };
+
+    const running = await ssh.executeCommand(`docker ps -q --filter name=^${REGISTRY_PROJECT}$`);
+    if (running.trim() === '' || !server.registry) {
+      // registry:2 only accepts bcrypt hashes
+      await ssh.executeCommand(`mkdir -p ${REGISTRY_DIR}/data && chmod 700 ${REGISTRY_DIR}`);
+      await ssh.writeFile(`${REGISTRY_DIR}/htpasswd`, `${await TraefikConfig.htpasswd(ssh, credentials.username, credentials.password)}\n`);
+      await ssh.writeFile(`/opt/hackerrun/docker-compose.registry.yml`, this.composeFile(credentials.host));
+      await ssh.executeCommand(`cd /opt/hackerrun && docker compose -p ${REGISTRY_PROJECT} -f docker-compose.registry.yml up -d`);
+    }
+
+    if (!server.registry) {
+      Config.saveServer(server.name, { ...Config.getServer(server.name), registry: credentials });
+    }
+    return credentials;
+  }
+
+  // Traefik serves its default certificate until Let's Encrypt has issued one, and docker refuses to push to that
+  static async waitForCertificate(host) {
+    const deadline = Date.now() + CERTIFICATE_TIMEOUT;
+    while (Date.now() < deadline) {
+      try {
+        const result = await HealthChecker.request(`https://${host}/v2/`);
+        if (HealthChecker.isLetsEncrypt(result.issuer)) {
+          return;
+        }
+      } catch (error) {
+        // Not reachable yet
+      }
+      await sleep(POLL_INTERVAL);
+    }
+    throw new Error(`${host} did not get a Let's Encrypt certificate within ${CERTIFICATE_TIMEOUT / 1000}s`);
+  }
+
+  // Compose pulls with the credentials of the local docker CLI, so logging in locally covers the server too
+  static async login(credentials) {
+    await execWithInput(`docker login ${credentials.host} --username ${credentials.username} --password-stdin`, credentials.password);
+  }
+}
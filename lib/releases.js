@@ -0,0 +1,211 @@
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import crypto from 'crypto';
+import YAML from 'yaml';
+import { exec } from 'child_process';
+import { promisify } from 'util';
+import { AppRegistry } from './apps.js';
+import { ComposeManager } from './compose.js';
+
+const execAsync = promisify(exec);
+
+export const DEFAULT_KEEP_RELEASES = 10;
+
+export class ReleaseStore {
+  static projectDir(projectName) {
+    return `${AppRegistry.appDir(projectName)}/releases`;
+  }
+
+  static releaseDir(projectName, id) {
+    return `${this.projectDir(projectName)}/${id}`;
+  }
+
+  static hashFile(filePath) {
+    return crypto.createHash('sha256').update(fs.readFileSync(filePath)).digest('hex');
+  }
+
+  static async gitCommit(cwd = process.cwd()) {
+    try {
+      const { stdout: commit } = await execAsync('git rev-parse HEAD', { cwd });
+      const { stdout: status } = await execAsync('git status --porcelain', { cwd });
+      return { commit: commit.trim(), dirty: status.trim() !== '' };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Must run while the server's Docker context is active
+  static async collectImages(composeCommand, services) {
+    const images = {};
+
+    for (const serviceName of services) {
+      const { stdout } = await execAsync(`${composeCommand} ps -q ${serviceName}`);
+      const containerId = stdout.split('\n').map(id => id.trim()).find(Boolean);
+      if (!containerId) continue;
+
+      const { stdout: imageId } = await execAsync(`docker inspect --format '{{.Image}}' ${containerId}`);
+      const { stdout: repoDigests } = await execAsync(`docker image inspect --format '{{json .RepoDigests}}' ${imageId.trim()}`);
+      const digests = JSON.parse(repoDigests.trim() || '[]') || [];
+
+      images[serviceName] = {
+        id: imageId.trim(),
+        digest: digests[0] || null
+      };
+    }
+
+    return images;
+  }
+
+  // Points every service at the exact image it ran, so a rollback needs neither a build nor a moving tag
+  static pinImages(composeData, images) {
+    const pinned = JSON.parse(JSON.stringify(composeData));
+    Object.entries(images).forEach(([serviceName, image]) => {
+      const service = pinned.services[serviceName];
+      if (!service) return;
+      service.image = image.digest || image.id;
+      delete service.build;
+    });
+    return pinned;
+  }
+
+  static async list(ssh, projectName) {
+    const dir = this.projectDir(projectName);
+    const output = await ssh.executeCommand(
+      `if [ -d ${dir} ]; then for f in ${dir}/*/release.json; do [ -f "$f" ] && cat "$f" && echo; done; fi`
+    );
+
+    return output
+      .split('\n')
+      .filter(line => line.trim())
+      .map(line => JSON.parse(line))
+      .sort((a, b) => a.id - b.id);
+  }
+
+  static async currentId(ssh, projectName) {
+    const output = await ssh.executeCommand(`cat ${this.projectDir(projectName)}/current 2>/dev/null || true`);
+    const id = parseInt(output.trim());
+    return isNaN(id) ? null : id;
+  }
+
+  static async setCurrent(ssh, projectName, id) {
+    await ssh.executeCommand(`echo ${id} > ${this.projectDir(projectName)}/current`);
+  }
+
+  // Stores the pinned compose file, env files and metadata as the next numbered release
+  static async record(ssh, projectName, { composeData, images, interpolationFiles = [], routes, keep = DEFAULT_KEEP_RELEASES }) {
+    const releases = await this.list(ssh, projectName);
+    const id = releases.length > 0 ? releases[releases.length - 1].id + 1 : 1;
+    const dir = this.releaseDir(projectName, id);
+
+    const pinned = this.pinImages(composeData, images);
+
+    // Every env file a service reads is stored next to the compose file, including the ones the
+    // compose file declares itself, and env_file entries are rewritten to match
+    const sources = [...new Set(Object.values(pinned.services).flatMap(service =>
+      ComposeManager.envFileEntries(service).map(entry => path.resolve(ComposeManager.envFilePath(entry)))
+    ))].filter(file => fs.existsSync(file));
+    const storedEnvFiles = sources.map((file, index) => ({
+      source: file,
+      name: `env/${index}-${path.basename(file)}`
+    }));
+    Object.values(pinned.services).forEach(service => {
+      if (!service.env_file) return;
+      service.env_file = ComposeManager.envFileEntries(service).map(entry => {
+        const stored = storedEnvFiles.find(envFile => envFile.source === path.resolve(ComposeManager.envFilePath(entry)));
+        if (!stored) return entry;
+        return typeof entry === 'string' ? stored.name : { ...entry, path: stored.name };
+      });
+    });
+    const interpolated = interpolationFiles.map(file => path.resolve(file));
+
+    const release = {
+      id,
+      createdAt: new Date().toISOString(),
+      git: await this.gitCommit(),
+      envFiles: storedEnvFiles.map(envFile => ({
+        file: path.relative(process.cwd(), envFile.source),
+        name: envFile.name,
+        sha256: this.hashFile(envFile.source),
+        interpolate: interpolated.includes(envFile.source)
+      })),
+      images,
+      routes
+    };
+
+    await ssh.executeCommand(`mkdir -p ${dir}/env && chmod 700 ${dir}`);
+    await ssh.writeFile(`${dir}/docker-compose.yml`, YAML.stringify(pinned, { indent: 2, lineWidth: 0 }));
+    // The compose file as deploy generated it, before pinning, for dry runs to diff against
+    await ssh.writeFile(`${dir}/generated.yml`, YAML.stringify(composeData, { indent: 2, lineWidth: 0 }));
+    for (const envFile of storedEnvFiles) {
+      await ssh.writeFile(`${dir}/${envFile.name}`, fs.readFileSync(envFile.source), '600');
+    }
+    await ssh.writeFile(`${dir}/release.json`, JSON.stringify(release));
+    await this.setCurrent(ssh, projectName, id);
+    await this.prune(ssh, projectName, keep);
+
+    return release;
+  }
+
+  static async prune(ssh, projectName, keep) {
+    const releases = await this.list(ssh, projectName);
+    const current = await this.currentId(ssh, projectName);
+    const expired = releases
+      .slice(0, Math.max(0, releases.length - keep))
+      .filter(release => release.id !== current);
+
+    for (const release of expired) {
+      await ssh.executeCommand(`rm -rf ${this.releaseDir(projectName, release.id)}`);
+    }
+  }
+
+  // The running release and its generated compose file; null when nothing is deployed
+  static async current(ssh, projectName) {
+    const id = await this.currentId(ssh, projectName);
+    if (id === null) {
+      return null;
+    }
+
+    const dir = this.releaseDir(projectName, id);
+    const release = JSON.parse(await ssh.readFile(`${dir}/release.json`));
+    const compose = (await ssh.readFile(`${dir}/generated.yml`)).toString();
+    return { release, compose };
+  }
+
+  // Downloads a release into a local temporary directory so docker compose can run it
+  static async fetch(ssh, projectName, id) {
+    const dir = this.releaseDir(projectName, id);
+    const exists = await ssh.executeCommand(`[ -f ${dir}/release.json ] && echo yes || echo no`);
+    if (exists.trim() !== 'yes') {
+      throw new Error(`Release ${id} not found on the server`);
+    }
+
+    const release = JSON.parse(await ssh.readFile(`${dir}/release.json`));
+    const localDir = fs.mkdtempSync(path.join(os.tmpdir(), `hackerrun-release-${id}-`));
+    fs.mkdirSync(path.join(localDir, 'env'), { mode: 0o700 });
+
+    // env_file entries point into the release; make them absolute so compose can run from the project directory
+    const composeData = YAML.parse((await ssh.readFile(`${dir}/docker-compose.yml`)).toString());
+    Object.values(composeData.services).forEach(service => {
+      if (!service.env_file) return;
+      service.env_file = ComposeManager.envFileEntries(service).map(entry => {
+        const entryPath = ComposeManager.envFilePath(entry);
+        if (!entryPath.startsWith('env/')) return entry;
+        return typeof entry === 'string' ? path.join(localDir, entryPath) : { ...entry, path: path.join(localDir, entryPath) };
+      });
+    });
+    fs.writeFileSync(path.join(localDir, 'docker-compose.yml'), YAML.stringify(composeData, { indent: 2, lineWidth: 0 }));
+
+    const envFiles = (await ssh.executeCommand(`ls ${dir}/env`)).split('\n').filter(Boolean);
+    for (const name of envFiles) {
+      fs.writeFileSync(path.join(localDir, 'env', name), await ssh.readFile(`${dir}/env/${name}`), { mode: 0o600 });
+    }
+
+    // Env files that were passed to compose with --env-file at deploy time
+    const interpolationFiles = release.envFiles
+      .filter(envFile => envFile.interpolate)
+      .map(envFile => path.join(localDir, envFile.name));
+
+    return { release, composeData, localDir, interpolationFiles };
+  }
+}
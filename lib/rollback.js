@@ -0,0 +1,155 @@
+import fs from 'fs';
+import path from 'path';
+import inquirer from 'inquirer';
+import chalk from 'chalk';
+import ora from 'ora';
+import { Config } from './config.js';
+import { DockerContext } from './docker-context.js';
+import { SSHClient } from './ssh.js';
+import { Rollout } from './rollout.js';
+import { ReleaseStore } from './releases.js';
+import { AppRegistry } from './apps.js';
+import { SecretStore } from './secrets.js';
+
+function formatRelease(release) {
+  const commit = release.git
+    ? release.git.commit.slice(0, 7) + (release.git.dirty ? '*' : '')
+    : '-';
+  const env = release.envFiles.length > 0
+    ? release.envFiles.map(envFile => `${envFile.file}@${envFile.sha256.slice(0, 8)}`).join(', ')
+    : '-';
+  const images = Object.entries(release.images)
+    .map(([service, image]) => `${service}=${(image.digest || image.id).split(':').pop().slice(0, 12)}`)
+    .join(' ');
+  return { commit, env, images };
+}
+
+export async function releasesCommand(options = {}) {
+  const { environment, server, projectId } = Config.resolveTarget(options);
+
+  const ssh = SSHClient.forServer(server);
+  await ssh.connect();
+
+  let releases, current;
+  try {
+    releases = await ReleaseStore.list(ssh, projectId);
+    current = await ReleaseStore.currentId(ssh, projectId);
+  } finally {
+    await ssh.disconnect();
+  }
+
+  if (releases.length === 0) {
+    console.log(chalk.yellow(`No releases of ${projectId} on server ${server.name} yet.`));
+    return;
+  }
+
+  console.log(chalk.blue.bold(`📜 Releases of ${projectId} (${environment} on ${server.name})\n`));
+  console.log(chalk.gray(`  ${'ID'.padEnd(5)}${'CREATED'.padEnd(22)}${'COMMIT'.padEnd(10)}${'ENV'.padEnd(28)}IMAGES`));
+  releases.slice().reverse().forEach(release => {
+    const { commit, env, images } = formatRelease(release);
+    const marker = release.id === current ? chalk.green('*') : ' ';
+    const created = release.createdAt.replace('T', ' ').slice(0, 19);
+    console.log(`${marker} ${String(release.id).padEnd(5)}${created.padEnd(22)}${commit.padEnd(10)}${env.padEnd(28)}${images}`);
+  });
+}
+
+export async function rollbackCommand(id, options = {}) {
+  console.log(chalk.blue.bold('⏪ HackerRun Rollback'));
+
+  const { environment, environmentConfig, server, projectId } = Config.resolveTarget(options);
+
+  const ssh = SSHClient.forServer(server);
+  await ssh.connect();
+
+  let target, fetched;
+  try {
+    await AppRegistry.assertOwner(ssh, projectId, { name: Config.getProjectName(), environment });
+    const releases = await ReleaseStore.list(ssh, projectId);
+    const current = await ReleaseStore.currentId(ssh, projectId);
+
+    if (id !== undefined) {
+      target = parseInt(id);
+      if (isNaN(target)) {
+        throw new Error(`Invalid release id '${id}'`);
+      }
+    } else {
+      // Default to the release before the current one
+      const previous = releases.filter(release => current === null || release.id < current);
+      if (previous.length === 0) {
+        throw new Error('No earlier release to roll back to');
+      }
+      target = previous[previous.length - 1].id;
+    }
+
+    if (target === current) {
+      throw new Error(`Release ${target} is already the current release`);
+    }
+
+    if (!options.yes && process.stdin.isTTY) {
+      const { proceed } = await inquirer.prompt([
+        {
+          type: 'confirm',
+          name: 'proceed',
+          message: `Roll back ${projectId} (${environment} on ${server.name}) from release ${current ?? '-'} to release ${target}?`,
+          default: false
+        }
+      ]);
+      if (!proceed) {
+        await ssh.disconnect();
+        console.log(chalk.gray('Rollback cancelled'));
+        return;
+      }
+    }
+
+    fetched = await ReleaseStore.fetch(ssh, projectId, target);
+    // The release references secrets by name; their current values come from the server
+    SecretStore.exportToProcess(await SecretStore.load(ssh, projectId));
+  } catch (error) {
+    await ssh.disconnect();
+    throw error;
+  }
+
+  const { release, composeData, localDir, interpolationFiles } = fetched;
+  const spinner = ora(`Redeploying release ${target}...`).start();
+
+  try {
+    // Relative paths in the release (bind mounts) still resolve against the project directory
+    const envFileFlags = interpolationFiles.map(file => ` --env-file ${file}`).join('');
+    const composeCommand = `docker compose -p ${projectId} --project-directory ${process.cwd()}${envFileFlags} -f ${path.join(localDir, 'docker-compose.yml')}`;
+    await DockerContext.withContext(DockerContext.contextNameFor(server.ip), async () => {
+      const result = await Rollout.run(environmentConfig.strategy, composeCommand, composeData, release.routes.map(route => route.service), {
+        onProgress: (message) => { spinner.text = message; }
+      });
+      if (result.recreated.length > 0) {
+        spinner.info(`Recreated ${result.recreated.join(', ')} in place (container_name or published ports prevent a rolling update)`);
+        spinner.start(`Redeploying release ${target}...`);
+      }
+      if (result.relabeled.length > 0) {
+        spinner.info(`Recreated ${result.relabeled.join(', ')} in place (routing changed, which old and new containers can't serve side by side)`);
+        spinner.start(`Redeploying release ${target}...`);
+      }
+    });
+
+    await ReleaseStore.setCurrent(ssh, projectId, target);
+    await AppRegistry.register(ssh, projectId, { name: Config.getProjectName(), environment, routes: release.routes, release: target });
+    spinner.succeed(`Rolled back to release ${target}`);
+  } catch (error) {
+    spinner.fail(`Failed to roll back to release ${target}`);
+    throw error;
+  } finally {
+    await ssh.disconnect();
+    // The local copy contains env files
+    fs.rmSync(localDir, { recursive: true, force: true });
+  }
+
+  Config.saveEnvironmentConfig(environment, {
+    ...environmentConfig,
+    release: target,
+    deployedAt: new Date().toISOString()
+  });
+
+  console.log(chalk.gray('Your application is now live at:'));
+  release.routes.forEach(route => {
+    [route.domain, ...route.aliases].forEach(host => console.log(chalk.cyan.bold(`https://${host}${route.path ?? ''}`)));
+  });
+}
@@ -0,0 +1,186 @@
+import { exec } from 'child_process';
+import { promisify } from 'util';
+import { ComposeManager } from './compose.js';
+
+const execAsync = promisify(exec);
+
+const POLL_INTERVAL = 2000;
+// Containers without a health check must stay running this long before they take over
+const STABLE_PERIOD = 10000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+export class Rollout {
+  // Extra replicas can't start next to the old ones if the name or host ports are fixed
+  static canRoll(service) {
+    return !service.container_name && !(service.ports && service.ports.length > 0);
+  }
+
+  static async containerIds(composeCommand, serviceName) {
+    const { stdout } = await execAsync(`${composeCommand} ps -q ${serviceName}`);
+    return stdout.split('\n').map(id => id.trim()).filter(Boolean);
+  }
+
+  static async inspect(ids) {
+    // docker inspect fails without arguments
+    if (ids.length === 0) {
+      return [];
+    }
+    const format = '{{.Id}} {{.State.Status}} {{if .State.Health}}{{.State.Health.Status}}{{else}}none{{end}} {{.RestartCount}}';
+    const { stdout } = await execAsync(`docker inspect --format '${format}' ${ids.join(' ')}`);
+    return stdout.trim().split('\n').map(line => {
+      const [id, status, health, restartCount] = line.split(' ');
+      return { id, status, health, restartCount: parseInt(restartCount) };
+    });
+  }
+
+  // The traefik.* labels of a running container and of the image it runs
+  static async routingLabels(id) {
+    const traefikOnly = (labels) => Object.fromEntries(Object.entries(labels ?? {}).filter(([key]) => key.startsWith('traefik.')));
+    const { stdout } = await execAsync(`docker inspect --format '{{.Image}} {{json .Config.Labels}}' ${id}`);
+    const separator = stdout.indexOf(' ');
+    const { stdout: imageOutput } = await execAsync(`docker image inspect --format '{{json .Config.Labels}}' ${stdout.slice(0, separator)}`);
+    return { container: traefikOnly(JSON.parse(stdout.slice(separator + 1))), image: traefikOnly(JSON.parse(imageOutput)) };
+  }
+
+  // Whether the service's Traefik labels differ from those of its running containers. Old and new replicas
+  // would then define the same routers and services differently, and Traefik ignores a definition that
+  // conflicts across containers until one side is gone, which takes the route down for the whole rollout
+  static async routingChanged(composeCommand, serviceName, service) {
+    const [id] = await this.containerIds(composeCommand, serviceName);
+    if (!id) {
+      return false;
+    }
+
+    // Compose turns the $$ escapes of the file into literal $ signs
+    const wanted = Object.fromEntries(Object.entries(ComposeManager.labelMap(service.labels))
+      .filter(([key]) => key.startsWith('traefik.'))
+      .map(([key, value]) => [key, String(value ?? '').replace(/\$\$/g, '$')]));
+    const { container, image } = await this.routingLabels(id);
+    const keys = new Set([...Object.keys(wanted), ...Object.keys(container)]);
+    // Labels the image sets itself are the same for old and new containers
+    return [...keys].some(key => (key in wanted ? wanted[key] : image[key]) !== container[key]);
+  }
+
+  static async waitHealthy(ids, timeoutMs) {
+    const deadline = Date.now() + timeoutMs;
+    let runningSince = null;
+
+    while (Date.now() < deadline) {
+      const states = await this.inspect(ids);
+
+      const failed = states.find(state =>
+        state.health === 'unhealthy' || state.status === 'exited' || state.status === 'dead' || state.restartCount > 0
+      );
+      if (failed) {
+        throw new Error(`container ${failed.id.slice(0, 12)} is ${failed.health === 'unhealthy' ? 'unhealthy' : failed.status}`);
+      }
+
+      const withHealthCheck = states.filter(state => state.health !== 'none');
+      const allHealthy = withHealthCheck.every(state => state.health === 'healthy');
+      const allRunning = states.every(state => state.status === 'running');
+
+      if (allRunning && allHealthy) {
+        if (withHealthCheck.length === states.length) {
+          return;
+        }
+        runningSince = runningSince ?? Date.now();
+        if (Date.now() - runningSince >= STABLE_PERIOD) {
+          return;
+        }
+      } else {
+        runningSince = null;
+      }
+
+      await sleep(POLL_INTERVAL);
+    }
+
+    throw new Error(`containers did not become healthy within ${Math.round(timeoutMs / 1000)}s`);
+  }
+
+  static async removeContainers(ids) {
+    if (ids.length === 0) return;
+    await execAsync(`docker stop ${ids.join(' ')}`);
+    await execAsync(`docker rm ${ids.join(' ')}`);
+  }
+
+  // Starts new replicas of a service next to the old ones and removes the old ones once the new ones are healthy
+  static async rollService(composeCommand, serviceName, timeoutMs) {
+    const oldIds = await this.containerIds(composeCommand, serviceName);
+
+    if (oldIds.length === 0) {
+      await execAsync(`${composeCommand} up -d --no-deps ${serviceName}`);
+      return;
+    }
+
+    await execAsync(`${composeCommand} up -d --no-deps --no-recreate --scale ${serviceName}=${oldIds.length * 2} ${serviceName}`);
+    const newIds = (await this.containerIds(composeCommand, serviceName))
+      .filter(id => !oldIds.includes(id));
+
+    try {
+      await this.waitHealthy(newIds, timeoutMs);
+    } catch (error) {
+      // Keep the old version serving
+      await this.removeContainers(newIds);
+      throw new Error(`New version of '${serviceName}' failed: ${error.message}. The previous version is still serving.`);
+    }
+
+    await this.removeContainers(oldIds);
+  }
+
+  static async deploy(composeCommand, composeData, exposedServices, { timeoutMs = 120000, onProgress = () => {} } = {}) {
+    const services = Object.keys(composeData.services);
+
+    const rollable = exposedServices.filter(name => this.canRoll(composeData.services[name]));
+    // A service whose routing changed is recreated instead: its route is down until the new containers
+    // start, rather than for the whole rollout
+    onProgress('Comparing routing labels...');
+    const relabeled = [];
+    for (const serviceName of rollable) {
+      if (await this.routingChanged(composeCommand, serviceName, composeData.services[serviceName])) {
+        relabeled.push(serviceName);
+      }
+    }
+    const rolling = rollable.filter(name => !relabeled.includes(name));
+    const recreated = services.filter(name => !rolling.includes(name));
+    const skipped = exposedServices.filter(name => !rollable.includes(name));
+
+    // Fetch new images while the old containers keep serving
+    onProgress('Pulling images...');
+    try {
+      await execAsync(`${composeCommand} pull --ignore-pull-failures --quiet`);
+    } catch (error) {
+      // Images that can't be pulled are built or fetched by up
+    }
+
+    // Internal services are updated in place; compose only recreates the ones that changed
+    if (recreated.length > 0) {
+      onProgress(`Updating ${recreated.join(', ')}...`);
+      await execAsync(`${composeCommand} up -d --no-deps --remove-orphans ${recreated.join(' ')}`);
+    }
+
+    for (const serviceName of rolling) {
+      onProgress(`Rolling out ${serviceName} (waiting for new containers to become healthy)...`);
+      await this.rollService(composeCommand, serviceName, timeoutMs);
+    }
+
+    return { rolled: rolling, recreated: skipped, relabeled };
+  }
+
+  static async run(strategy, composeCommand, composeData, exposedServices, options = {}) {
+    if (strategy !== 'recreate') {
+      return this.deploy(composeCommand, composeData, exposedServices, options);
+    }
+
+    // Stop any existing deployment
+    try {
+      await execAsync(`${composeCommand} down`);
+    } catch (error) {
+      // Ignore errors if no previous deployment exists
+    }
+
+    // Start the new deployment
+    await execAsync(`${composeCommand} up -d`);
+    return { rolled: [], recreated: [], relabeled: [] };
+  }
+}
@@ -0,0 +1,241 @@
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import crypto from 'crypto';
+import inquirer from 'inquirer';
+import chalk from 'chalk';
+import { Config } from './config.js';
+import { SSHClient } from './ssh.js';
+import { printTable } from './table.js';
+import { AppRegistry } from './apps.js';
+
+const SECRETS_DIR = '/opt/hackerrun/secrets';
+// Compose reads secret values from these variables of its own process, never from a file on this machine
+const ENV_PREFIX = 'HACKERRUN_SECRET_';
+// Values are encrypted with this key before they leave this machine, so the server only ever stores
+// ciphertext; HACKERRUN_SECRETS_KEY (base64) takes its place on machines without the file, e.g. in CI
+const KEY_FILE = path.join(os.homedir(), '.hackerrun', 'secrets.key');
+const CIPHER = 'aes-256-gcm';
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+
+export class SecretStore {
+  static path(projectId) {
+    return `${SECRETS_DIR}/${projectId}.json`;
+  }
+
+  static validateKey(key) {
+    if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(key)) {
+      throw new Error(`Invalid secret name '${key}' (letters, digits and '_', not starting with a digit)`);
+    }
+  }
+
+  // The key is created by the first 'secrets set' and must be copied to every machine that deploys
+  static key({ create = false } = {}) {
+    let encoded = process.env.HACKERRUN_SECRETS_KEY;
+    if (!encoded && fs.existsSync(KEY_FILE)) {
+      encoded = fs.readFileSync(KEY_FILE, 'utf8').trim();
+    }
+    if (!encoded) {
+      if (!create) {
+        throw new Error(`Secrets key not found; copy ${KEY_FILE} from the machine that set the secrets or set HACKERRUN_SECRETS_KEY`);
+      }
+      encoded = crypto.randomBytes(32).toString('base64');
+      fs.mkdirSync(path.dirname(KEY_FILE), { recursive: true });
+      fs.writeFileSync(KEY_FILE, `${encoded}\n`, { mode: 0o600 });
+    }
+
+    const key = Buffer.from(encoded, 'base64');
+    if (key.length !== 32) {
+      throw new Error('Invalid secrets key (expected 32 bytes, base64-encoded)');
+    }
+    return key;
+  }
+
+  // The project id and name are authenticated with each value, so a value copied to another key or
+  // project no longer decrypts
+  static encrypt(key, projectId, name, value) {
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const cipher = crypto.createCipheriv(CIPHER, key, iv, { authTagLength: TAG_LENGTH });
+    cipher.setAAD(Buffer.from(`${projectId}/${name}`));
+    const encrypted = Buffer.concat([cipher.update(value, 'utf8'), cipher.final()]);
+    return Buffer.concat([iv, cipher.getAuthTag(), encrypted]).toString('base64');
+  }
+
+  static decrypt(key, projectId, name, payload) {
+    const data = Buffer.from(payload, 'base64');
+    const decipher = crypto.createDecipheriv(CIPHER, key, data.subarray(0, IV_LENGTH), { authTagLength: TAG_LENGTH });
+    decipher.setAAD(Buffer.from(`${projectId}/${name}`));
+    decipher.setAuthTag(data.subarray(IV_LENGTH, IV_LENGTH + TAG_LENGTH));
+    try {
+      return Buffer.concat([decipher.update(data.subarray(IV_LENGTH + TAG_LENGTH)), decipher.final()]).toString('utf8');
+    } catch {
+      throw new Error(`Cannot decrypt secret '${name}' of ${projectId}; it was set with a different secrets key or for another project`);
+    }
+  }
+
+  // Stored as { KEY: { encrypted, services } } and returned as { KEY: { value, services } }; services is
+  // null for a secret that goes to the services whose environment lists it
+  static async load(ssh, projectId) {
+    const output = await ssh.executeCommand(`[ -f ${this.path(projectId)} ] && cat ${this.path(projectId)} || echo '{}'`);
+    const stored = JSON.parse(output);
+    if (Object.keys(stored).length === 0) {
+      return {};
+    }
+
+    const key = this.key();
+    return Object.fromEntries(Object.entries(stored).map(([name, { encrypted, services }]) => [
+      name,
+      { value: this.decrypt(key, projectId, name, encrypted), services }
+    ]));
+  }
+
+  static async save(ssh, projectId, secrets) {
+    const key = this.key({ create: true });
+    const stored = Object.fromEntries(Object.entries(secrets).map(([name, { value, services }]) => [
+      name,
+      { encrypted: this.encrypt(key, projectId, name, value), services }
+    ]));
+    await ssh.executeCommand(`mkdir -p ${SECRETS_DIR} && chmod 700 ${SECRETS_DIR}`);
+    await ssh.writeFile(this.path(projectId), JSON.stringify(stored), '600');
+  }
+
+  static mask(value) {
+    return value === '' ? '(empty)' : '********';
+  }
+
+  static environmentKeys(service) {
+    if (Array.isArray(service.environment)) {
+      return service.environment.map(entry => entry.split('=')[0]);
+    }
+    return Object.keys(service.environment ?? {});
+  }
+
+  // The services given with 'secrets set --service', otherwise the ones whose environment lists the key,
+  // so databases and other third-party images never receive secrets they did not ask for
+  static targets(composeData, key, secret) {
+    const names = Object.keys(composeData.services);
+    if (secret.services) {
+      return secret.services.filter(name => names.includes(name));
+    }
+    return names.filter(name => this.environmentKeys(composeData.services[name]).includes(key));
+  }
+
+  static unused(composeData, secrets) {
+    return Object.keys(secrets).filter(key => this.targets(composeData, key, secrets[key]).length === 0);
+  }
+
+  // Replaces each secret's value in the services it targets with a ${HACKERRUN_SECRET_*} reference;
+  // the values only exist in memory
+  static inject(composeData, secrets) {
+    Object.entries(secrets).forEach(([key, secret]) => {
+      this.targets(composeData, key, secret).forEach(name => {
+        const service = composeData.services[name];
+        if (!service.environment) {
+          service.environment = {};
+        }
+        if (Array.isArray(service.environment)) {
+          service.environment = Object.fromEntries(service.environment.map(entry => {
+            const [entryKey, ...value] = entry.split('=');
+            return [entryKey, value.length > 0 ? value.join('=') : null];
+          }));
+        }
+        service.environment[key] = `\${${ENV_PREFIX}${key}:?secret ${key} is not set on the server}`;
+      });
+    });
+
+    return composeData;
+  }
+
+  // docker compose runs as a child process and inherits these
+  static exportToProcess(secrets) {
+    Object.entries(secrets).forEach(([key, secret]) => {
+      process.env[`${ENV_PREFIX}${key}`] = secret.value;
+    });
+  }
+}
+
+// Runs fn with the project's secrets, saves them back when fn returns a new set and returns the project id
+async function withSecrets(options, fn) {
+  const { environment, server, projectId } = Config.resolveTarget(options);
+
+  const ssh = SSHClient.forServer(server);
+  await ssh.connect();
+
+  try {
+    const secrets = await SecretStore.load(ssh, projectId);
+    const updated = await fn(secrets, { server, projectId });
+    if (updated) {
+      await AppRegistry.assertOwner(ssh, projectId, { name: Config.getProjectName(), environment });
+      // Secrets set before the first deploy must land under the id that deploy will use
+      Config.saveProjectName(Config.getProjectName());
+      await SecretStore.save(ssh, projectId, updated);
+    }
+  } finally {
+    await ssh.disconnect();
+  }
+
+  return projectId;
+}
+
+export async function secretsSetCommand(pairs, options = {}) {
+  const values = {};
+  for (const pair of pairs) {
+    const separator = pair.indexOf('=');
+    const key = separator === -1 ? pair : pair.slice(0, separator);
+    SecretStore.validateKey(key);
+
+    if (separator !== -1) {
+      values[key] = pair.slice(separator + 1);
+    } else if (process.stdin.isTTY) {
+      // Prompting keeps the value out of the shell history
+      ({ value: values[key] } = await inquirer.prompt([
+        { type: 'password', name: 'value', message: `Value for ${key}:`, mask: '*' }
+      ]));
+    } else {
+      throw new Error(`Missing value for '${key}' (use ${key}=VALUE)`);
+    }
+  }
+
+  // Without --service an updated secret keeps the services it was set for
+  const projectId = await withSecrets(options, (secrets) => ({
+    ...secrets,
+    ...Object.fromEntries(Object.entries(values).map(([key, value]) => [
+      key,
+      { value, services: options.service ?? secrets[key]?.services ?? null }
+    ]))
+  }));
+  console.log(chalk.green(`✅ Set ${Object.keys(values).join(', ')} for ${projectId}`));
+  console.log(chalk.gray('Secrets are applied on the next deploy'));
+}
+
+export async function secretsListCommand(options = {}) {
+  await withSecrets(options, (secrets, { server, projectId }) => {
+    const keys = Object.keys(secrets).sort();
+    if (keys.length === 0) {
+      console.log(chalk.yellow(`No secrets set for ${projectId} on server ${server.name}.`));
+      return;
+    }
+
+    printTable(['NAME', 'VALUE', 'SERVICES'], keys.map(key => [
+      key,
+      SecretStore.mask(secrets[key].value),
+      secrets[key].services?.join(', ') ?? '(services listing it)'
+    ]));
+  });
+}
+
+export async function secretsUnsetCommand(keys, options = {}) {
+  const projectId = await withSecrets(options, (secrets, { projectId }) => {
+    const missing = keys.filter(key => !(key in secrets));
+    if (missing.length > 0) {
+      throw new Error(`Secret(s) not set for ${projectId}: ${missing.join(', ')}`);
+    }
+
+    const remaining = { ...secrets };
+    keys.forEach(key => delete remaining[key]);
+    return remaining;
+  });
+  console.log(chalk.green(`✅ Removed ${keys.join(', ')} from ${projectId}`));
+  console.log(chalk.gray('Secrets are applied on the next deploy'));
+}
@@ -0,0 +1,186 @@
+import chalk from 'chalk';
+import ora from 'ora';
+import { Config } from './config.js';
+import { DockerContext } from './docker-context.js';
+import { SSHClient } from './ssh.js';
+import { SSHConfig } from './ssh-config.js';
+import { TraefikConfig } from './traefik.js';
+
+export function validateServerName(input) {
+  if (!/^[a-z0-9][a-z0-9_-]*$/i.test(input)) {
+    return 'Server names may only contain letters, digits, hyphens and underscores';
+  }
+  return true;
+}
+
+export function validateIp(input) {
+  const ipRegex = /^(?:[0-9]{1,3}\.){3}[0-9]{1,3}$/;
+  if (!ipRegex.test(input)) {
+    return 'Please enter a valid IP address';
+  }
+  return true;
+}
+
+// Accepts an IP address or a ~/.ssh/config host alias whose HostName is an IP address
+export function resolveHost(host) {
+  if (validateIp(host) === true) {
+    return { ip: host };
+  }
+
+  const hostName = SSHConfig.lookup(host).hostname;
+  if (!hostName) {
+    throw new Error(`'${host}' is neither an IP address nor a host alias in ~/.ssh/config`);
+  }
+  if (validateIp(hostName) !== true) {
+    throw new Error(`Host alias '${host}' must have an IP address as its HostName (found ${hostName})`);
+  }
+  return { ip: hostName, sshHost: host };
+}
+
+export function sshSettingsFromOptions(options) {
+  const settings = {};
+  if (options.user) settings.user = options.user;
+  if (options.sshPort) {
+    const port = parseInt(options.sshPort);
+    if (isNaN(port) || port < 1 || port > 65535) {
+      throw new Error(`Invalid --ssh-port '${options.sshPort}'`);
+    }
+    settings.port = port;
+  }
+  if (options.identityFile) settings.identityFile = options.identityFile;
+  return settings;
+}
+
+export async function serverAddCommand(name, host, options = {}) {
+  const validName = validateServerName(name);
+  if (validName !== true) {
+    throw new Error(validName);
+  }
+  if (Config.getServer(name)) {
+    throw new Error(`Server '${name}' already exists. Remove it first with 'hackerrun server remove ${name}'.`);
+  }
+
+  const server = {
+    ...resolveHost(host),
+    ...sshSettingsFromOptions(options),
+    initialized: false
+  };
+  const ip = server.ip;
+
+  // Create Docker context
+  const contextSpinner = ora('Creating Docker context for VPS...').start();
+  const contextName = DockerContext.contextNameFor(ip);
+
+  try {
+    const originalContext = await DockerContext.getCurrentContext();
+    await DockerContext.createServerContext(server);
+    await DockerContext.useContext(originalContext);
+    contextSpinner.succeed(`Docker context ${contextName} created`);
+  } catch (error) {
+    contextSpinner.fail('Failed to create Docker context');
+    console.error(chalk.red('Error:'), error.message);
+  }
+
+  Config.saveServer(name, server);
+  if (options.default) {
+    Config.setDefaultServer(name);
+  }
+
+  console.log(chalk.green(`✅ Server '${name}' (${ip}) added`));
+  console.log(chalk.gray('To install Docker and Traefik on it, run'), chalk.cyan(`hackerrun init --server ${name}`));
+}
+
+export async function serverListCommand() {
+  const servers = Config.getServers();
+  const defaultServer = Config.getDefaultServerName();
+  const names = Object.keys(servers);
+
+  if (names.length === 0) {
+    console.log(chalk.yellow('No servers configured. Run'), chalk.cyan('hackerrun server add <name> <ip>'));
+    return;
+  }
+
+  const width = Math.max(...names.map(name => name.length), 4);
+  const ssh = (server) => {
+    const settings = SSHClient.resolveSettings(server.sshHost || server.ip, SSHClient.optionsForServer(server));
+    return `${settings.username}@${server.sshHost || server.ip}:${settings.port}`;
+  };
+  const sshWidth = Math.max(...names.map(name => ssh(servers[name]).length), 3);
+
+  console.log(chalk.gray(`  ${'NAME'.padEnd(width)}  ${'IP'.padEnd(15)}  ${'SSH'.padEnd(sshWidth)}  STATUS`));
+  names.forEach(name => {
+    const server = servers[name];
+    const marker = name === defaultServer ? chalk.green('*') : ' ';
+    const status = server.initialized ? chalk.green('ready') : chalk.yellow('not initialized');
+    console.log(`${marker} ${name.padEnd(width)}  ${server.ip.padEnd(15)}  ${ssh(server).padEnd(sshWidth)}  ${status}`);
+  });
+}
+
+export async function serverRemoveCommand(name) {
+  const server = Config.getServer(name);
+  if (!server) {
+    throw new Error(`Server '${name}' not found`);
+  }
+
+  Config.removeServer(name);
+
+  // Keep the Docker context if another server entry still uses the same host
+  const stillUsed = Object.values(Config.getServers()).some(other => other.ip === server.ip);
+  if (!stillUsed) {
+    try {
+      await DockerContext.removeContext(DockerContext.contextNameFor(server.ip));
+    } catch (error) {
+      // Ignore error if context doesn't exist
+    }
+    SSHConfig.removeHost(DockerContext.contextNameFor(server.ip));
+  }
+
+  console.log(chalk.green(`✅ Server '${name}' removed`));
+  const defaultServer = Config.getDefaultServerName();
+  if (defaultServer) {
+    console.log(chalk.gray(`Default server: ${defaultServer}`));
+  }
+}
+
+export async function serverDefaultCommand(name) {
+  Config.setDefaultServer(name);
+  console.log(chalk.green(`✅ Default server set to '${name}'`));
+}
+
+// Changes the server's Traefik settings and applies them; Traefik only restarts when its config changes
+export async function serverTraefikCommand(name, options = {}) {
+  const server = Config.resolveServer(name);
+  if (!server.initialized) {
+    throw new Error(`Server '${server.name}' is not initialized. Run 'hackerrun init --server ${server.name}' first.`);
+  }
+
+  const { traefik, dnsEnv } = TraefikConfig.fromOptions(server.traefik, options);
+  const settings = TraefikConfig.settings({ traefik });
+  TraefikConfig.validate(settings);
+
+  const spinner = ora(`Applying Traefik settings on ${server.name}...`).start();
+  const ssh = SSHClient.forServer(server);
+  let changed;
+
+  try {
+    await ssh.connect();
+    changed = await TraefikConfig.apply(ssh, settings, { dnsEnv });
+  } catch (error) {
+    spinner.fail('Failed to apply Traefik settings');
+    throw error;
+  } finally {
+    await ssh.disconnect();
+  }
+
+  Config.saveServer(server.name, { ...Config.getServer(server.name), traefik });
+  spinner.succeed(changed ? 'Traefik restarted with the new configuration' : 'Traefik configuration already up to date');
+
+  console.log(chalk.gray(`  Email:        ${settings.email}`));
+  console.log(chalk.gray(`  Log level:    ${settings.logLevel}`));
+  console.log(chalk.gray(`  Dashboard:    ${settings.dashboard ? 'on' : 'off'}`));
+  console.log(chalk.gray(`  Access log:   ${settings.accessLogFormat}`));
+  console.log(chalk.gray(`  Challenge:    ${settings.challenge === 'dns' ? `DNS-01 (${settings.dnsProvider})` : 'HTTP-01'}${settings.staging ? ', Let\'s Encrypt staging' : ''}`));
+  Object.entries(settings.entryPoints).forEach(([entryPoint, address]) => {
+    console.log(chalk.gray(`  Entrypoint:   ${entryPoint} ${address}`));
+  });
+}
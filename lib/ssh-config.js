@@ -0,0 +1,145 @@
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+
+const SSH_CONFIG_FILE = path.join(os.homedir(), '.ssh', 'config');
+// Host entries hackerrun manages for Docker contexts, included from ~/.ssh/config
+const MANAGED_CONFIG_FILE = path.join(os.homedir(), '.hackerrun', 'ssh_config');
+const INCLUDE_LINE = 'Include ~/.hackerrun/ssh_config';
+
+export class SSHConfig {
+  static expandHome(filePath) {
+    if (filePath === '~' || filePath.startsWith('~/')) {
+      return path.join(os.homedir(), filePath.slice(1));
+    }
+    return filePath;
+  }
+
+  static parse(content) {
+    const blocks = [];
+    // Options before the first Host line apply to every host
+    let current = { patterns: ['*'], options: {} };
+    blocks.push(current);
+
+    content.split('\n').forEach(rawLine => {
+      const line = rawLine.trim();
+      if (!line || line.startsWith('#')) return;
+
+      const match = line.match(/^(\S+?)(?:\s*=\s*|\s+)(.+)$/);
+      if (!match) return;
+
+      const key = match[1].toLowerCase();
+      const value = match[2].trim().replace(/^"(.*)"$/, '$1');
+
+      if (key === 'host') {
+        current = { patterns: value.split(/\s+/), options: {} };
+        blocks.push(current);
+      } else if (key === 'match') {
+        // Match blocks are not supported; skip their options
+        current = { patterns: [], options: {} };
+        blocks.push(current);
+      } else if (key === 'identityfile') {
+        current.options.identityfile = [...(current.options.identityfile || []), value];
+      } else if (!(key in current.options)) {
+        current.options[key] = value;
+      }
+    });
+
+    return blocks;
+  }
+
+  static matches(patterns, host) {
+    let matched = false;
+    for (const pattern of patterns) {
+      const negated = pattern.startsWith('!');
+      const glob = negated ? pattern.slice(1) : pattern;
+      const regex = new RegExp(`^${glob.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.')}$`, 'i');
+      if (regex.test(host)) {
+        if (negated) return false;
+        matched = true;
+      }
+    }
+    return matched;
+  }
+
+  // Returns the effective options for a host; like ssh, the first value found for each key wins
+  static lookup(host, configPath = SSH_CONFIG_FILE) {
+    if (!fs.existsSync(configPath)) {
+      return {};
+    }
+
+    let blocks;
+    try {
+      blocks = this.parse(fs.readFileSync(configPath, 'utf8'));
+    } catch (error) {
+      console.warn(`Warning: Could not read ${configPath}: ${error.message}`);
+      return {};
+    }
+
+    const result = {};
+    blocks
+      .filter(block => this.matches(block.patterns, host))
+      .forEach(block => {
+        Object.entries(block.options).forEach(([key, value]) => {
+          if (key === 'identityfile') {
+            result.identityfile = [...(result.identityfile || []), ...value];
+          } else if (!(key in result)) {
+            result[key] = value;
+          }
+        });
+      });
+
+    if (result.hostname) {
+      result.hostname = result.hostname.replace(/%h/g, host);
+    }
+    if (result.identityfile) {
+      result.identityfile = result.identityfile.map(file => this.expandHome(file));
+    }
+    return result;
+  }
+
+  // Docker's SSH transport runs the system ssh client, which only learns a server's key from ssh config,
+  // so servers added with --identity-file get a Host entry named after their Docker context
+  static writeHost(alias, { hostName, user, port, identityFile }) {
+    const entry = [
+      `Host ${alias}`,
+      `  HostName ${hostName}`,
+      `  User ${user}`,
+      `  Port ${port}`,
+      `  IdentityFile "${path.resolve(this.expandHome(identityFile))}"`,
+      '  IdentitiesOnly yes'
+    ].join('\n');
+    this.saveManagedHosts([...this.managedHosts().filter(block => !block.startsWith(`Host ${alias}\n`)), entry]);
+    this.ensureInclude();
+  }
+
+  static removeHost(alias) {
+    const blocks = this.managedHosts();
+    const remaining = blocks.filter(block => !block.startsWith(`Host ${alias}\n`));
+    if (remaining.length !== blocks.length) {
+      this.saveManagedHosts(remaining);
+    }
+  }
+
+  static managedHosts() {
+    if (!fs.existsSync(MANAGED_CONFIG_FILE)) {
+      return [];
+    }
+    return fs.readFileSync(MANAGED_CONFIG_FILE, 'utf8').split(/\n(?=Host )/).map(block => block.trim()).filter(Boolean);
+  }
+
+  static saveManagedHosts(blocks) {
+    fs.mkdirSync(path.dirname(MANAGED_CONFIG_FILE), { recursive: true });
+    fs.writeFileSync(MANAGED_CONFIG_FILE, blocks.map(block => `${block}\n`).join('\n'), { mode: 0o600 });
+  }
+
+  // Include only applies to every host before the first Host line, so it goes at the top
+  static ensureInclude(configPath = SSH_CONFIG_FILE) {
+    const content = fs.existsSync(configPath) ? fs.readFileSync(configPath, 'utf8') : '';
+    if (content.split('\n').some(line => line.trim() === INCLUDE_LINE)) {
+      return;
+    }
+    fs.mkdirSync(path.dirname(configPath), { recursive: true, mode: 0o700 });
+    fs.writeFileSync(configPath, `${INCLUDE_LINE}\n${content ? `\n${content}` : ''}`, { mode: 0o600 });
+  }
+}
@@ -1,30 +1,93 @@
-import { Client } from 'ssh2';
+import ssh2 from 'ssh2';
 import fs from 'fs';
 import path from 'path';
 import os from 'os';
+import { SSHConfig } from './ssh-config.js';
+
+const { Client, utils } = ssh2;
+
+const DEFAULT_KEYS = ['id_ed25519', 'id_ecdsa', 'id_rsa'].map(name => path.join(os.homedir(), '.ssh', name));
 
 export class SSHClient {
-  constructor(host, username = 'root') {
+  constructor(host, options = {}) {
     this.host = host;
-    this.username = username;
+    this.options = options;
     this.conn = new Client();
+
+    const settings = SSHClient.resolveSettings(host, options);
+    this.username = settings.username;
+    this.port = settings.port;
   }
 
-  async connect() {
-    return new Promise((resolve, reject) => {
-      const sshKeyPath = path.join(os.homedir(), '.ssh', 'id_ed25519');
-      
+  static optionsForServer(server) {
+    return {
+      username: server.user,
+      port: server.port,
+      identityFile: server.identityFile
+    };
+  }
+
+  static forServer(server) {
+    return new SSHClient(server.sshHost || server.ip, this.optionsForServer(server));
+  }
+
+  // Explicit options win over ~/.ssh/config, which wins over the defaults (root, port 22, standard keys)
+  static resolveSettings(host, options = {}) {
+    const hostConfig = SSHConfig.lookup(host);
+    const identityFiles = options.identityFile
+      ? [SSHConfig.expandHome(options.identityFile)]
+      : hostConfig.identityfile || DEFAULT_KEYS;
+
+    return {
+      host: hostConfig.hostname || host,
+      username: options.username || hostConfig.user || 'root',
+      port: parseInt(options.port || hostConfig.port || 22),
+      identityFiles,
+      agent: process.env.SSH_AUTH_SOCK
+    };
+  }
+
+  loadPrivateKey(identityFiles, agent) {
+    const passphrase = process.env.HACKERRUN_SSH_PASSPHRASE;
+
+    for (const keyPath of identityFiles) {
       let privateKey;
       try {
-        privateKey = fs.readFileSync(sshKeyPath);
+        privateKey = fs.readFileSync(keyPath);
       } catch (error) {
-        const rsaKeyPath = path.join(os.homedir(), '.ssh', 'id_rsa');
-        try {
-          privateKey = fs.readFileSync(rsaKeyPath);
-        } catch (rsaError) {
-          reject(new Error(`SSH key not found. Checked ${sshKeyPath} and ${rsaKeyPath}`));
-          return;
+        continue;
+      }
+
+      const parsed = utils.parseKey(privateKey, passphrase);
+      if (!(parsed instanceof Error)) {
+        return { privateKey, passphrase };
+      }
+      if (/passphrase/i.test(parsed.message)) {
+        // Encrypted key without a usable passphrase: leave it to ssh-agent if there is one
+        if (agent) {
+          return {};
         }
+        throw new Error(`SSH key ${keyPath} is passphrase-protected. Set HACKERRUN_SSH_PASSPHRASE or add the key to ssh-agent`);
+      }
+      throw new Error(`Failed to read SSH key ${keyPath}: ${parsed.message}`);
+    }
+
+    if (!agent) {
+      throw new Error(`SSH key not found. Checked ${identityFiles.join(', ')} and no ssh-agent is running (SSH_AUTH_SOCK)`);
+    }
+    return {};
+  }
+
+  async connect() {
+    return new Promise((resolve, reject) => {
+      const settings = SSHClient.resolveSettings(this.host, this.options);
+
+      let key;
+      try {
+        key = this.loadPrivateKey(settings.identityFiles, settings.agent);
+      } catch (error) {
+        reject(error);
+        return;
       }
 
       this.conn.on('ready', () => {
@@ -32,16 +95,27 @@ export class SSHClient {
       }).on('error', (err) => {
         reject(new Error(`SSH connection failed: ${err.message}`));
       }).connect({
-        host: this.host,
-        username: this.username,
-        privateKey: privateKey
+        host: settings.host,
+        port: settings.port,
+        username: settings.username,
+        agent: settings.agent,
+        ...key
       });
     });
   }
 
-  async executeCommand(command) {
+  // Non-root users run every command through passwordless sudo, since /opt/hackerrun and Docker need root
+  wrapCommand(command) {
+    if (this.username === 'root') {
+      return command;
+    }
+    return `sudo -n sh -c '${command.replace(/'/g, `'\\''`)}'`;
+  }
+
+  // input is written to the command's stdin, which keeps values like passwords out of the server's process list
+  async executeCommand(command, { input } = {}) {
     return new Promise((resolve, reject) => {
-      this.conn.exec(command, (err, stream) => {
+      this.conn.exec(this.wrapCommand(command), (err, stream) => {
         if (err) {
           reject(new Error(`Command execution failed: ${err.message}`));
           return;
@@ -61,10 +135,54 @@ export class SSHClient {
         }).stderr.on('data', (data) => {
           stderr += data;
         });
+        if (input !== undefined) {
+          stream.end(input);
+        }
       });
     });
   }
 
+  // Streams output as it arrives instead of buffering it; resolves with the exit code
+  async streamCommand(command, { stdout = process.stdout, stderr = process.stderr, pty = false } = {}) {
+    return new Promise((resolve, reject) => {
+      this.conn.exec(this.wrapCommand(command), { pty }, (err, stream) => {
+        if (err) {
+          reject(new Error(`Command execution failed: ${err.message}`));
+          return;
+        }
+
+        this.activeStream = stream;
+        stream.on('close', (code) => {
+          this.activeStream = null;
+          resolve(code ?? 0);
+        });
+        stream.pipe(stdout, { end: false });
+        stream.stderr.pipe(stderr, { end: false });
+      });
+    });
+  }
+
+  // Stops a running streamCommand, e.g. when the user presses Ctrl+C during --follow
+  interrupt() {
+    if (this.activeStream) {
+      this.activeStream.signal('INT');
+      this.activeStream.close();
+    }
+  }
+
+  // Contents go over stdin rather than into the command, so secrets never show in the server's process
+  // list and large files don't hit the argument length limit
+  async writeFile(remotePath, content, mode = null) {
+    const umask = mode ? 'umask 077 && ' : '';
+    const chmod = mode ? ` && chmod ${mode} ${remotePath}` : '';
+    await this.executeCommand(`${umask}cat > ${remotePath}${chmod}`, { input: Buffer.from(content) });
+  }
+
+  async readFile(remotePath) {
+    const encoded = await this.executeCommand(`base64 ${remotePath}`);
+    return Buffer.from(encoded, 'base64');
+  }
+
   async uploadFile(localPath, remotePath) {
     return new Promise((resolve, reject) => {
       this.conn.sftp((err, sftp) => {
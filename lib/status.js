@@ -0,0 +1,167 @@
+import chalk from 'chalk';
+import { Config } from './config.js';
+import { ComposeManager } from './compose.js';
+import { SSHClient } from './ssh.js';
+import { HealthChecker } from './health.js';
+import { printTable } from './table.js';
+import { API_URL } from './traefik.js';
+
+function formatDuration(seconds) {
+  if (seconds < 60) return `${seconds}s`;
+  const days = Math.floor(seconds / 86400);
+  const hours = Math.floor((seconds % 86400) / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  if (days > 0) return `${days}d ${hours}h`;
+  if (hours > 0) return `${hours}h ${minutes}m`;
+  return `${minutes}m`;
+}
+
+async function fetchContainers(ssh, projectId) {
+  const ids = (await ssh.executeCommand(`docker ps -a -q --filter label=com.docker.compose.project=${projectId}`))
+    .split('\n')
+    .filter(Boolean);
+  if (ids.length === 0) {
+    return [];
+  }
+
+  const inspected = JSON.parse(await ssh.executeCommand(`docker inspect ${ids.join(' ')}`));
+  const imageIds = [...new Set(inspected.map(container => container.Image))];
+  const digests = {};
+  (await ssh.executeCommand(`docker image inspect --format '{{.Id}} {{json .RepoDigests}}' ${imageIds.join(' ')}`))
+    .split('\n')
+    .filter(Boolean)
+    .forEach(line => {
+      const [id, repoDigests] = line.split(' ');
+      digests[id] = (JSON.parse(repoDigests) || [])[0] || null;
+    });
+
+  return inspected.map(container => {
+    const running = container.State.Status === 'running';
+    return {
+      name: container.Name.replace(/^\//, ''),
+      service: container.Config.Labels['com.docker.compose.service'],
+      state: container.State.Status,
+      health: container.State.Health ? container.State.Health.Status : null,
+      startedAt: running ? container.State.StartedAt : null,
+      uptimeSeconds: running ? Math.floor((Date.now() - new Date(container.State.StartedAt)) / 1000) : null,
+      restartCount: container.RestartCount,
+      image: container.Config.Image,
+      imageId: container.Image,
+      digest: digests[container.Image] || null
+    };
+  }).sort((a, b) => a.name.localeCompare(b.name));
+}
+
+// Traefik's API only listens inside its container, so it is queried through docker exec
+async function fetchRouters(ssh) {
+  try {
+    const output = await ssh.executeCommand(`docker exec traefik wget -qO- "${API_URL}/http/routers?per_page=1000"`);
+    return JSON.parse(output);
+  } catch (error) {
+    return null;
+  }
+}
+
+async function fetchCertificate(domain) {
+  try {
+    return await HealthChecker.certificate(domain);
+  } catch (error) {
+    return { error: error.message };
+  }
+}
+
+export async function statusCommand(options = {}) {
+  const { environment, environmentConfig, server, projectId } = Config.resolveTarget(options);
+  const routes = environmentConfig.routes ?? [];
+
+  const ssh = SSHClient.forServer(server);
+  await ssh.connect();
+
+  let containers, routers;
+  try {
+    containers = await fetchContainers(ssh, projectId);
+    routers = await fetchRouters(ssh);
+  } finally {
+    await ssh.disconnect();
+  }
+
+  const routeStatus = await Promise.all(routes.map(async route => {
+    const routerName = `${ComposeManager.routerName(projectId, route.service)}@docker`;
+    const router = routers ? routers.find(candidate => candidate.name === routerName) : undefined;
+    return {
+      service: route.service,
+      domain: route.domain,
+      aliases: route.aliases,
+      path: route.path ?? null,
+      router: router ? { name: router.name, status: router.status, rule: router.rule } : null,
+      certificate: await fetchCertificate(route.domain)
+    };
+  }));
+
+  const status = {
+    project: projectId,
+    environment,
+    server: { name: server.name, ip: server.ip },
+    release: environmentConfig.release ?? null,
+    deployedAt: environmentConfig.deployedAt ?? null,
+    routes: routeStatus,
+    containers
+  };
+
+  if (options.json) {
+    console.log(JSON.stringify(status, null, 2));
+    return;
+  }
+
+  console.log(chalk.blue.bold(`📊 ${projectId} (${environment})`));
+  console.log(`${chalk.gray('Server:  ')} ${server.name} (${server.ip})`);
+  console.log(`${chalk.gray('Release: ')} ${status.release ?? '-'}${status.deployedAt ? chalk.gray(` deployed ${status.deployedAt}`) : ''}`);
+
+  console.log(chalk.bold('\nRoutes'));
+  if (routeStatus.length === 0) {
+    console.log(chalk.gray('No exposed services recorded in .hackerrun.json'));
+  } else {
+    if (routers === null) {
+      console.log(chalk.yellow('Traefik API not reachable; re-run hackerrun init to enable router status'));
+    }
+    printTable(
+      ['SERVICE', 'DOMAIN', 'ROUTER', 'CERTIFICATE'],
+      routeStatus.map(route => [
+        route.service,
+        [route.domain, ...route.aliases].map(host => `${host}${route.path ?? ''}`).join(', '),
+        route.router ? route.router.status : (routers === null ? 'unknown' : 'missing'),
+        route.certificate.error
+          ? route.certificate.error
+          : `${route.certificate.issuer}, expires in ${route.certificate.daysLeft}d`
+      ]),
+      (column, value) => {
+        if (column === 2) return value === 'enabled' ? chalk.green(value) : chalk.yellow(value);
+        if (column === 3) return /^Let's Encrypt/i.test(value) ? value : chalk.yellow(value);
+        return value;
+      }
+    );
+  }
+
+  console.log(chalk.bold('\nContainers'));
+  if (containers.length === 0) {
+    console.log(chalk.gray('No containers found for this project'));
+    return;
+  }
+  printTable(
+    ['CONTAINER', 'SERVICE', 'STATE', 'HEALTH', 'UPTIME', 'RESTARTS', 'IMAGE'],
+    containers.map(container => [
+      container.name,
+      container.service,
+      container.state,
+      container.health ?? '-',
+      container.uptimeSeconds === null ? '-' : formatDuration(container.uptimeSeconds),
+      container.restartCount,
+      container.digest ?? `${container.image} (${container.imageId.slice(7, 19)})`
+    ]),
+    (column, value) => {
+      if (column === 2) return value === 'running' ? chalk.green(value) : chalk.red(value);
+      if (column === 3 && value !== '-') return value === 'healthy' ? chalk.green(value) : chalk.yellow(value);
+      return value;
+    }
+  );
+}
@@ -0,0 +1,18 @@
+import chalk from 'chalk';
+
+// Prints rows as aligned columns; style(column, value) may colour a cell without breaking the alignment
+export function printTable(headers, rows, style = (column, value) => value) {
+  const widths = headers.map((header, column) =>
+    Math.max(header.length, ...rows.map(row => String(row[column] ?? '').length))
+  );
+
+  const pad = (text, column) => ' '.repeat(column === headers.length - 1 ? 0 : widths[column] - text.length);
+
+  console.log(chalk.gray(headers.map((header, column) => header + pad(header, column)).join('  ')));
+  rows.forEach(row => {
+    console.log(row.map((cell, column) => {
+      const text = String(cell ?? '');
+      return style(column, text) + pad(text, column);
+    }).join('  '));
+  });
+}
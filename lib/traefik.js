@@ -0,0 +1,362 @@
+import fs from 'fs';
+import YAML from 'yaml';
+
+const CONFIG_PATH = '/opt/hackerrun/traefik/traefik.yml';
+const COMPOSE_PATH = '/opt/hackerrun/docker-compose.traefik.yml';
+// DNS provider credentials, which Traefik reads from its environment; they never leave the server
+const DNS_ENV_PATH = '/opt/hackerrun/traefik/dns.env';
+const STAGING_CA_SERVER = 'https://acme-staging-v02.api.letsencrypt.org/directory';
+const TEMPLATE_PATH = new URL('../templates/traefik.yml', import.meta.url);
+// The API on the loopback-only "traefik" entrypoint of templates/traefik.yml, reached with docker exec
+export const API_URL = 'http://127.0.0.1:8080/api';
+const READY_TIMEOUT = 30000;
+const POLL_INTERVAL = 2000;
+
+export const LOG_LEVELS = ['DEBUG', 'INFO', 'WARN', 'ERROR'];
+export const ACCESS_LOG_FORMATS = ['common', 'json'];
+export const ACME_CHALLENGES = ['http', 'dns'];
+// Entrypoints the template defines itself
+const BUILTIN_ENTRYPOINTS = ['traefik', 'web', 'websecure'];
+
+// Until a deploy sets the real Let's Encrypt email, the placeholder keeps the config valid
+const DEFAULT_SETTINGS = {
+  email: 'admin@example.com',
+  logLevel: 'INFO',
+  dashboard: true,
+  accessLogFormat: 'common',
+  entryPoints: {},
+  challenge: 'http',
+  dnsProvider: null,
+  staging: false,
+  // { host, users, allowList } once 'hackerrun dashboard' publishes the dashboard
+  dashboardRoute: null
+};
+// HTTP-01 serves every host; with a DNS provider a second resolver issues custom and wildcard domains
+export const HTTP_RESOLVER = 'letsencrypt';
+export const DNS_RESOLVER = 'letsencrypt-dns';
+// Router and middleware names on the shared Traefik; 'hackerrun' is reserved, so no project can produce them
+const DASHBOARD_ROUTER = 'hackerrun-dashboard';
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Traefik is shared by every project on a server, so its settings live with the server in the global config
+export class TraefikConfig {
+  // The server's saved settings over the defaults
+  static settings(server, overrides = {}) {
+    return { ...DEFAULT_SETTINGS, ...server.traefik, ...overrides };
+  }
+
+  // sslip.io names point at the server, but nobody's DNS provider can create TXT records under them, so
+  // a router only uses the DNS resolver when none of its hosts is one
+  static resolverFor(settings, hosts) {
+    const dnsOnly = hosts.every(host => !/(^|\.)sslip\.io$/i.test(host));
+    return settings.challenge === 'dns' && dnsOnly ? DNS_RESOLVER : HTTP_RESOLVER;
+  }
+
+  // Applies the Traefik flags of init and 'server traefik' to a server's saved settings; DNS credentials
+  // are returned separately because they are only stored on the server
+  static fromOptions(traefik = {}, options = {}) {
+    const updated = { ...traefik };
+    if (options.email !== undefined) updated.email = options.email;
+    if (options.logLevel !== undefined) updated.logLevel = options.logLevel.toUpperCase();
+    if (options.dashboard !== undefined) updated.dashboard = options.dashboard;
+    if (options.accessLogFormat !== undefined) updated.accessLogFormat = options.accessLogFormat;
+    if (options.entrypoint || options.removeEntrypoint) {
+      const entryPoints = { ...updated.entryPoints };
+      (options.entrypoint ?? []).forEach(spec => {
+        const [entryPoint, address] = this.parseEntryPoint(spec);
+        entryPoints[entryPoint] = address;
+      });
+      (options.removeEntrypoint ?? []).forEach(entryPoint => {
+        if (!(entryPoint in entryPoints)) {
+          throw new Error(`Entrypoint '${entryPoint}' is not configured`);
+        }
+        delete entryPoints[entryPoint];
+      });
+      updated.entryPoints = entryPoints;
+    }
+
+    // A DNS provider implies the DNS-01 challenge
+    if (options.dnsProvider !== undefined) {
+      updated.dnsProvider = options.dnsProvider;
+      updated.challenge = 'dns';
+    }
+    if (options.challenge !== undefined) updated.challenge = options.challenge;
+    if (options.acmeStaging !== undefined) updated.staging = options.acmeStaging;
+
+    const dnsEnv = options.dnsEnv ? this.parseDnsEnv(options.dnsEnv) : null;
+    return { traefik: updated, dnsEnv };
+  }
+
+  // KEY=VALUE, or just KEY to take the value from this machine's environment
+  static parseDnsEnv(specs) {
+    return Object.fromEntries(specs.map(spec => {
+      const separator = spec.indexOf('=');
+      const key = separator === -1 ? spec : spec.slice(0, separator);
+      const value = separator === -1 ? process.env[key] : spec.slice(separator + 1);
+      if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(key)) {
+        throw new Error(`Invalid DNS credential name '${key}'`);
+      }
+      if (value === undefined) {
+        throw new Error(`Missing value for '${key}' (use ${key}=VALUE or export ${key})`);
+      }
+      if (/[\r\n]/.test(value)) {
+        throw new Error(`The value of '${key}' must be a single line`);
+      }
+      return [key, value];
+    }));
+  }
+
+  // name=[host]:port[/tcp|/udp], like Traefik's own entrypoint addresses
+  static parseEntryPoint(spec) {
+    const separator = spec.indexOf('=');
+    if (separator === -1) {
+      throw new Error(`Invalid entrypoint '${spec}' (expected name=[host]:port[/tcp|/udp], e.g. postgres=:5432)`);
+    }
+    return [spec.slice(0, separator), spec.slice(separator + 1)];
+  }
+
+  static parseAddress(address) {
+    const match = address.match(/^([^:]*):(\d{1,5})(?:\/(tcp|udp))?$/);
+    if (!match || parseInt(match[2]) < 1 || parseInt(match[2]) > 65535) {
+      return null;
+    }
+    return { host: match[1], port: parseInt(match[2]), protocol: match[3] ?? 'tcp' };
+  }
+
+  static validate(settings) {
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(settings.email)) {
+      throw new Error(`Invalid Let's Encrypt email '${settings.email}'`);
+    }
+    if (!LOG_LEVELS.includes(settings.logLevel)) {
+      throw new Error(`Invalid log level '${settings.logLevel}' (expected ${LOG_LEVELS.join(', ')})`);
+    }
+    if (!ACCESS_LOG_FORMATS.includes(settings.accessLogFormat)) {
+      throw new Error(`Invalid access log format '${settings.accessLogFormat}' (expected ${ACCESS_LOG_FORMATS.join(' or ')})`);
+    }
+    if (!ACME_CHALLENGES.includes(settings.challenge)) {
+      throw new Error(`Invalid challenge '${settings.challenge}' (expected ${ACME_CHALLENGES.join(' or ')})`);
+    }
+    // Provider names are the lego ones Traefik documents, e.g. cloudflare, route53, digitalocean
+    if (settings.challenge === 'dns' && !/^[a-z0-9]+$/.test(settings.dnsProvider ?? '')) {
+      throw new Error(settings.dnsProvider
+        ? `Invalid DNS provider '${settings.dnsProvider}'`
+        : 'The DNS challenge needs a provider (--dns-provider <name>)');
+    }
+
+    if (settings.dashboardRoute) {
+      const { host, users, allowList = [] } = settings.dashboardRoute;
+      if (!/^([a-z0-9]([a-z0-9-]*[a-z0-9])?\.)+[a-z]{2,}$/i.test(host)) {
+        throw new Error(`Invalid dashboard domain '${host}'`);
+      }
+      if (!/^[^:\s]+:\S+$/.test(users)) {
+        throw new Error('Invalid dashboard credentials (expected an htpasswd user:hash line)');
+      }
+      allowList.forEach(range => {
+        if (!/^[0-9a-f.:]+(\/\d{1,3})?$/i.test(range)) {
+          throw new Error(`Invalid IP or CIDR range '${range}'`);
+        }
+      });
+    }
+
+    const ports = new Set(['80/tcp', '443/tcp', '8080/tcp']);
+    Object.entries(settings.entryPoints).forEach(([name, address]) => {
+      if (!/^[a-z][a-z0-9-]*$/i.test(name) || BUILTIN_ENTRYPOINTS.includes(name)) {
+        throw new Error(`Invalid entrypoint name '${name}' (letters, digits and '-'; not ${BUILTIN_ENTRYPOINTS.join(', ')})`);
+      }
+      const parsed = this.parseAddress(address);
+      if (!parsed) {
+        throw new Error(`Invalid address '${address}' for entrypoint '${name}' (expected [host]:port[/tcp|/udp])`);
+      }
+      if (ports.has(`${parsed.port}/${parsed.protocol}`)) {
+        throw new Error(`Entrypoint '${name}' uses port ${parsed.port}/${parsed.protocol}, which is already taken`);
+      }
+      ports.add(`${parsed.port}/${parsed.protocol}`);
+    });
+  }
+
+  // Fills the template's {{PLACEHOLDERS}} with YAML scalars and adds the extra entrypoints
+  static render(settings) {
+    this.validate(settings);
+
+    const values = {
+      EMAIL: settings.email,
+      LOG_LEVEL: settings.logLevel,
+      DASHBOARD: settings.dashboard,
+      ACCESS_LOG_FORMAT: settings.accessLogFormat
+    };
+    const text = fs.readFileSync(TEMPLATE_PATH, 'utf8').replace(/\{\{(\w+)\}\}/g, (placeholder, key) => {
+      if (!(key in values)) {
+        throw new Error(`Unknown placeholder ${placeholder} in templates/traefik.yml`);
+      }
+      return YAML.stringify(values[key]).trim();
+    });
+
+    const doc = YAML.parseDocument(text);
+    if (doc.errors.length > 0) {
+      throw new Error(`templates/traefik.yml is not valid YAML: ${doc.errors[0].message}`);
+    }
+    const acme = ['certificatesResolvers', HTTP_RESOLVER, 'acme'];
+    // Staging certificates are kept apart, so switching back doesn't serve them in production
+    if (settings.staging) {
+      doc.setIn([...acme, 'caServer'], STAGING_CA_SERVER);
+      doc.setIn([...acme, 'storage'], '/etc/traefik/acme-staging.json');
+    }
+    // The DNS resolver shares the HTTP one's account settings and storage, which Traefik keys by resolver
+    if (settings.challenge === 'dns') {
+      const dnsAcme = doc.getIn(acme).clone();
+      dnsAcme.delete('httpChallenge');
+      dnsAcme.set('dnsChallenge', doc.createNode({ provider: settings.dnsProvider }));
+      doc.setIn(['certificatesResolvers', DNS_RESOLVER, 'acme'], dnsAcme);
+    }
+
+    Object.entries(settings.entryPoints).forEach(([name, address]) => {
+      const entryPoint = doc.createNode({ address });
+      // Quoted like the template's own addresses
+      entryPoint.get('address', true).type = 'QUOTE_DOUBLE';
+      doc.setIn(['entryPoints', name], entryPoint);
+    });
+    return doc.toString({ lineWidth: 0 });
+  }
+
+  // Entrypoints bound to every interface need their port published by the container
+  static publishedPorts(settings) {
+    return Object.values(settings.entryPoints)
+      .map(address => this.parseAddress(address))
+      .filter(({ host }) => host === '' || host === '0.0.0.0')
+      .map(({ port, protocol }) => `${port}:${port}${protocol === 'udp' ? '/udp' : ''}`);
+  }
+
+  // Routes the dashboard through websecure behind basic auth and the optional IP allowlist
+  static dashboardLabels(settings) {
+    if (!settings.dashboard || !settings.dashboardRoute) {
+      return [];
+    }
+
+    const { host, users, allowList = [] } = settings.dashboardRoute;
+    const middlewares = [`${DASHBOARD_ROUTER}-auth`, ...(allowList.length > 0 ? [`${DASHBOARD_ROUTER}-allow`] : [])];
+    return [
+      'traefik.enable=true',
+      `traefik.http.routers.${DASHBOARD_ROUTER}.rule=Host(\`${host}\`)`,
+      `traefik.http.routers.${DASHBOARD_ROUTER}.entrypoints=websecure`,
+      `traefik.http.routers.${DASHBOARD_ROUTER}.tls.certresolver=${this.resolverFor(settings, [host])}`,
+      `traefik.http.routers.${DASHBOARD_ROUTER}.service=api@internal`,
+      `traefik.http.routers.${DASHBOARD_ROUTER}.middlewares=${middlewares.join(',')}`,
+      // Compose would interpolate the $ signs of the hash
+      `traefik.http.middlewares.${DASHBOARD_ROUTER}-auth.basicauth.users=${users.replace(/\$/g, '$$$$')}`,
+      ...(allowList.length > 0 ? [`traefik.http.middlewares.${DASHBOARD_ROUTER}-allow.ipallowlist.sourcerange=${allowList.join(',')}`] : [])
+    ];
+  }
+
+  static composeFile(settings) {
+    const ports = ['80:80', '443:443', ...this.publishedPorts(settings)];
+    const labels = this.dashboardLabels(settings);
+
+    return `version: '3.8'
+
+services:
+  traefik:
+    image: traefik:v3.0
+    container_name: traefik
+    restart: unless-stopped
+    ports:
+${ports.map(port => `      - "${port}"`).join('\n')}
+    volumes:
+      - /var/run/docker.sock:/var/run/docker.sock:ro
+      - /opt/hackerrun/traefik:/etc/traefik
+    command:
+      - --configfile=/etc/traefik/traefik.yml
+${settings.challenge === 'dns' ? `    env_file:
+      - ${DNS_ENV_PATH}
+` : ''}${labels.length > 0 ? `    labels:
+${labels.map(label => `      - "${label}"`).join('\n')}
+` : ''}    networks:
+      - traefik
+
+networks:
+  traefik:
+    name: traefik
+    external: false
+`;
+  }
+
+  // A bcrypt htpasswd line, generated on the server by the httpd image since Node has no bcrypt built in;
+  // the password goes through stdin, not the command line
+  static async htpasswd(ssh, username, password) {
+    const output = await ssh.executeCommand(`docker run --rm -i --entrypoint htpasswd httpd:2 -iBn ${username}`, { input: `${password}\n` });
+    return output.trim();
+  }
+
+  // The API only answers once Traefik has loaded its static configuration
+  static async waitUntilReady(ssh) {
+    const deadline = Date.now() + READY_TIMEOUT;
+    while (Date.now() < deadline) {
+      try {
+        await ssh.executeCommand(`docker exec traefik wget -qO- ${API_URL}/version`);
+        return true;
+      } catch (error) {
+        await sleep(POLL_INTERVAL);
+      }
+    }
+    return false;
+  }
+
+  // Uploads the rendered files and swaps them in only when they differ from the server's, then restarts
+  // Traefik (or recreates it when its ports or credentials changed); if it does not come back, the previous
+  // files are restored. dnsEnv replaces the stored DNS credentials. Returns whether anything changed.
+  static async apply(ssh, settings, { dnsEnv = null } = {}) {
+    const files = [
+      { path: CONFIG_PATH, content: this.render(settings) },
+      { path: COMPOSE_PATH, content: this.composeFile(settings) }
+    ];
+    if (dnsEnv) {
+      const content = Object.entries(dnsEnv).map(([key, value]) => `${key}=${value}\n`).join('');
+      files.push({ path: DNS_ENV_PATH, content, mode: '600' });
+    } else if (settings.challenge === 'dns') {
+      const stored = await ssh.executeCommand(`[ -f ${DNS_ENV_PATH} ] && echo yes || echo no`);
+      if (stored.trim() !== 'yes') {
+        throw new Error(`No credentials stored for the ${settings.dnsProvider} DNS provider; pass them with --dns-env KEY=VALUE`);
+      }
+    }
+
+    const changed = [];
+    for (const file of files) {
+      await ssh.writeFile(`${file.path}.new`, file.content, file.mode ?? null);
+      const same = await ssh.executeCommand(`cmp -s ${file.path}.new ${file.path} && echo same || echo changed`);
+      if (same.trim() === 'same') {
+        await ssh.executeCommand(`rm -f ${file.path}.new`);
+      } else {
+        changed.push(file.path);
+      }
+    }
+    if (changed.length === 0) {
+      return false;
+    }
+
+    for (const file of changed) {
+      await ssh.executeCommand(`if [ -f ${file} ]; then cp ${file} ${file}.bak; else rm -f ${file}.bak; fi && mv ${file}.new ${file}`);
+    }
+    // Compose recreates the container when its ports or env file contents changed; a restart rereads traefik.yml
+    const restart = changed.some(file => file !== CONFIG_PATH)
+      ? 'cd /opt/hackerrun && docker compose -f docker-compose.traefik.yml up -d'
+      : 'cd /opt/hackerrun && docker compose -f docker-compose.traefik.yml restart traefik';
+    let ready = false, problem = '';
+    try {
+      await ssh.executeCommand(restart);
+      ready = await this.waitUntilReady(ssh);
+    } catch (error) {
+      problem = `${error.message}\n`;
+    }
+
+    if (!ready) {
+      const logs = problem + await ssh.executeCommand('docker logs --tail 20 traefik 2>&1 || true');
+      for (const file of changed) {
+        await ssh.executeCommand(`if [ -f ${file}.bak ]; then mv ${file}.bak ${file}; fi`);
+      }
+      await ssh.executeCommand(`${restart} || true`);
+      throw new Error(`Traefik did not start with the new configuration; the previous one was restored.\n${logs.trim()}`);
+    }
+
+    return true;
+  }
+}